@@ -0,0 +1,131 @@
+import Database from 'better-sqlite3';
+import { AlertRule } from './config.js';
+import { tableExists, ensureMessagesSchema, toMillis } from './mailbox.js';
+import { hasChoices } from './frontmatter.js';
+
+// Alert monitor: evaluates the configured rules against the mailbox and
+// status databases. The server runs it periodically and pushes the result.
+
+export interface Alert {
+  id: string;            // stable while the condition holds, e.g. "stalled:coder"
+  rule: AlertRule['type'];
+  agent: string;         // the coworker whose desk is highlighted
+  message: string;
+  since: number;         // when the condition started (ms)
+  messageId?: number;    // the unanswered message, for unanswered alerts
+}
+
+interface AlertSources {
+  db: Database.Database | null;
+  statusDb: Database.Database | null;
+  user: string;
+  now: number;
+}
+
+function appliesTo(rule: AlertRule, agent: string): boolean {
+  return !rule.agents || rule.agents.includes(agent.toLowerCase());
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function stalledAlerts(rule: Extract<AlertRule, {type: 'stalled'}>, { statusDb, now }: AlertSources): Alert[] {
+  if (!statusDb || !tableExists(statusDb, 'latest_tool_usage')) return [];
+  const rows = statusDb.prepare(`
+    SELECT name, MAX(timestamp) AS timestamp
+    FROM latest_tool_usage
+    GROUP BY name
+  `).all() as Array<{name: string; timestamp: number}>;
+
+  const cutoff = now - rule.minutes * 60 * 1000;
+  return rows
+    .filter(row => appliesTo(rule, row.name) && toMillis(row.timestamp) <= cutoff)
+    .map(row => ({
+      id: `stalled:${row.name.toLowerCase()}`,
+      rule: rule.type,
+      agent: row.name.toLowerCase(),
+      message: `${row.name} hasn't used a tool in ${plural(Math.floor((now - toMillis(row.timestamp)) / 60000), 'minute')}`,
+      since: toMillis(row.timestamp)
+    }));
+}
+
+// Whether each message asks the user something, by id. Message bodies don't
+// change, so each unread message is parsed once rather than on every check.
+const choicesById = new Map<number, boolean>();
+
+function messageHasChoices(db: Database.Database, id: number): boolean {
+  let found = choicesById.get(id);
+  if (found === undefined) {
+    const row = db.prepare('SELECT message FROM messages WHERE id = ?').get(id) as {message: string} | undefined;
+    found = !!row && hasChoices(row.message);
+    choicesById.set(id, found);
+  }
+  return found;
+}
+
+function unansweredAlerts(rule: Extract<AlertRule, {type: 'unanswered'}>, { db, user, now }: AlertSources): Alert[] {
+  if (!db || !ensureMessagesSchema(db)) return [];
+  const unread = db.prepare(`
+    SELECT id, sender, timestamp
+    FROM messages
+    WHERE recipient = ? AND read = 0
+    ORDER BY timestamp ASC
+  `).all(user.toLowerCase()) as Array<{id: number; sender: string; timestamp: number}>;
+
+  // Forget messages that have been read (or deleted) since
+  const unreadIds = new Set(unread.map(row => row.id));
+  for (const id of choicesById.keys()) {
+    if (!unreadIds.has(id)) choicesById.delete(id);
+  }
+
+  const cutoff = now - rule.minutes * 60 * 1000;
+  return unread
+    .filter(row => row.timestamp <= cutoff && appliesTo(rule, row.sender) && (!rule.choicesOnly || messageHasChoices(db, row.id)))
+    .map(row => ({
+      id: `unanswered:${row.id}`,
+      rule: rule.type,
+      agent: row.sender,
+      message: `${row.sender} has been waiting ${plural(Math.floor((now - row.timestamp) / 60000), 'minute')} for an answer to #${row.id}`,
+      since: row.timestamp,
+      messageId: row.id
+    }));
+}
+
+// The user has no desk, so their own messages (e.g. an @everyone broadcast)
+// never count as a loop
+function loopAlerts(rule: Extract<AlertRule, {type: 'loop'}>, { db, user, now }: AlertSources): Alert[] {
+  if (!db || !ensureMessagesSchema(db)) return [];
+  const rows = db.prepare(`
+    SELECT sender, COUNT(*) AS count, MIN(timestamp) AS first
+    FROM messages
+    WHERE timestamp >= ? AND lower(sender) != ?
+    GROUP BY sender
+    HAVING COUNT(*) > ?
+  `).all(now - rule.seconds * 1000, user.toLowerCase(), rule.messages) as Array<{sender: string; count: number; first: number}>;
+
+  return rows
+    .filter(row => appliesTo(rule, row.sender))
+    .map(row => ({
+      id: `loop:${row.sender}`,
+      rule: rule.type,
+      agent: row.sender,
+      message: `${row.sender} sent ${row.count} messages in the last ${plural(rule.seconds, 'second')}`,
+      since: row.first
+    }));
+}
+
+// Evaluate every rule, oldest condition first. When two rules of a kind
+// flag the same thing, the first rule wins.
+export function evaluateAlerts(rules: AlertRule[], sources: AlertSources): Alert[] {
+  const alerts = new Map<string, Alert>();
+  for (const rule of rules) {
+    const found = rule.type === 'stalled' ? stalledAlerts(rule, sources)
+      : rule.type === 'unanswered' ? unansweredAlerts(rule, sources)
+      : loopAlerts(rule, sources);
+    for (const alert of found) {
+      if (!alerts.has(alert.id)) alerts.set(alert.id, alert);
+    }
+  }
+  return Array.from(alerts.values()).sort((a, b) => a.since - b.since);
+}
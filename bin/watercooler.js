@@ -3,12 +3,26 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
+import { firstPositional } from '../dist/config.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const serverPath = join(__dirname, '..', 'dist', 'server.js');
+// Subcommands run headless; anything else starts the web server. Flags may
+// come before the subcommand, e.g. `watercooler --profile work inbox`.
+const COMMANDS = ['send', 'tail', 'inbox', 'read', 'coworkers', 'help'];
+let command;
+try {
+  command = firstPositional(process.argv.slice(2));
+} catch (err) {
+  console.error(`error: ${err.message}`);
+  process.exit(1);
+}
+const script = COMMANDS.includes(command) ? 'cli.js' : 'server.js';
+
+const scriptPath = join(__dirname, '..', 'dist', script);
 
-const child = spawn('node', [serverPath, ...process.argv.slice(2)], {
+const child = spawn('node', [scriptPath, ...process.argv.slice(2)], {
   stdio: 'inherit',
   shell: false
 });
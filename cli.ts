@@ -0,0 +1,231 @@
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { loadConfig, WatercoolerConfig } from './config.js';
+import { tableExists, MESSAGE_COLUMNS, Message, ensureMessagesSchema, ensureMessagesTable, insertMessage, getMessage, markRead, wakeSnoozed, readCoworkerNames, readCoworkerRecords } from './mailbox.js';
+import { withFrontmatter } from './frontmatter.js';
+
+// Headless subcommands: talk to the mailbox without a browser
+const USAGE = `Usage: watercooler <command> [options]
+
+Commands:
+  send <to> <message>     Send a message (use - to read the message from stdin)
+      --reply-to <id>     Mark it as a reply to message <id>
+  tail                    Print new messages as they arrive
+      -n <count>          Print the last <count> messages first
+      --inbox             Only messages sent to you
+  inbox                   List messages sent to you, newest last
+      --unread            Only unread messages
+      --limit <count>     How many to show (default 20)
+  read <id>               Print a message and mark it read if it was sent to you
+  coworkers               List coworkers from the coworker DB with their type and parent
+
+Every command takes --json for machine-readable output, and the same
+--user, --mailbox, --coworkers, --config and --profile settings as the server.`;
+
+// Helper: Pull `--name value` and `--flag` options out of the positional args
+function parseOptions(args: string[], valued: string[]): { positional: string[]; options: Record<string, string | true> } {
+  const positional: string[] = [];
+  const options: Record<string, string | true> = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('-') && arg !== '-') {
+      const name = arg.replace(/^-+/, '');
+      if (valued.includes(name)) {
+        if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+        options[name] = args[++i];
+      } else {
+        options[name] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function intOption(value: string | true | undefined, name: string, fallback: number): number {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a non-negative integer`);
+  return n;
+}
+
+function formatMessage(msg: Message): string {
+  const time = new Date(msg.timestamp).toLocaleString();
+  const flags = [
+    msg.read ? '' : 'unread',
+    msg.snoozed_until ? `snoozed until ${new Date(msg.snoozed_until).toLocaleString()}` : '',
+    msg.reply_to ? `reply to #${msg.reply_to}` : ''
+  ].filter(Boolean).join(', ');
+  const body = msg.message.split('\n').map(line => `    ${line}`).join('\n');
+  return `#${msg.id}  ${time}  ${msg.sender} → ${msg.recipient}${flags ? `  (${flags})` : ''}\n${body}\n`;
+}
+
+function printMessages(messages: Message[], json: boolean) {
+  for (const msg of messages) {
+    console.log(json ? JSON.stringify(withFrontmatter(msg)) : formatMessage(msg));
+  }
+}
+
+function openMailbox(config: WatercoolerConfig, mustExist: boolean): Database.Database {
+  if (!config.mailbox) throw new Error('No mailbox configured (pass --mailbox or set it in watercooler.config.json)');
+  if (mustExist && !fs.existsSync(config.mailbox)) throw new Error(`Mailbox not found: ${config.mailbox}`);
+  return new Database(config.mailbox);
+}
+
+function requireUser(config: WatercoolerConfig): string {
+  if (!config.user) throw new Error('No user configured (pass --user or set it in watercooler.config.json)');
+  return config.user.toLowerCase();
+}
+
+function readStdin(): string {
+  return fs.readFileSync(0, 'utf8').replace(/\n$/, '');
+}
+
+function send(config: WatercoolerConfig, args: string[]) {
+  const { positional, options } = parseOptions(args, ['reply-to']);
+  const [to, text] = positional;
+  if (!to || text === undefined || positional.length > 2) throw new Error('Usage: watercooler send <to> <message>');
+  const user = requireUser(config);
+  const message = text === '-' ? readStdin() : text;
+  if (!message.trim()) throw new Error('message is empty');
+
+  const recipient = to.toLowerCase();
+  if (config.strictRecipients && config.coworkers && recipient !== user) {
+    const coworkerDb = new Database(config.coworkers, { readonly: true });
+    const known = readCoworkerNames(coworkerDb, user);
+    coworkerDb.close();
+    if (!known.includes(recipient)) throw new Error(`${recipient} is not a known coworker`);
+  }
+
+  const db = openMailbox(config, false);
+  ensureMessagesTable(db);
+  let replyTo: number | null = null;
+  if (options['reply-to'] !== undefined) {
+    replyTo = intOption(options['reply-to'], '--reply-to', 0);
+    if (!getMessage(db, replyTo)) throw new Error(`No message with id ${replyTo}`);
+  }
+  const id = insertMessage(db, user, recipient, message, replyTo);
+  console.log(options.json ? JSON.stringify({ success: true, id }) : `Sent #${id} to ${recipient}`);
+}
+
+function inbox(config: WatercoolerConfig, args: string[]) {
+  const { options } = parseOptions(args, ['limit']);
+  const user = requireUser(config);
+  const db = openMailbox(config, true);
+  if (!ensureMessagesSchema(db)) return;
+  wakeSnoozed(db);
+  const limit = intOption(options.limit, '--limit', 20);
+  const rows = db.prepare(`
+    SELECT ${MESSAGE_COLUMNS} FROM messages
+    WHERE recipient = ? ${options.unread ? 'AND read = 0' : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(user, limit) as Message[];
+  printMessages(rows.reverse(), !!options.json);
+}
+
+function read(config: WatercoolerConfig, args: string[]) {
+  const { positional, options } = parseOptions(args, []);
+  if (positional.length !== 1) throw new Error('Usage: watercooler read <id>');
+  const id = intOption(positional[0], 'id', 0);
+  const db = openMailbox(config, true);
+  const msg = getMessage(db, id);
+  if (!msg) throw new Error(`No message with id ${id}`);
+  if (!msg.read && config.user && msg.recipient === config.user.toLowerCase()) {
+    markRead(db, id);
+  }
+  printMessages([msg], !!options.json);
+}
+
+function coworkers(config: WatercoolerConfig, args: string[]) {
+  const { options } = parseOptions(args, []);
+  if (!config.coworkers) throw new Error('No coworker DB configured (pass --coworkers or set it in watercooler.config.json)');
+  const coworkerDb = new Database(config.coworkers, { readonly: true });
+  const records = readCoworkerRecords(coworkerDb, config.user ?? '');
+  if (options.json) {
+    console.log(JSON.stringify(records));
+    return;
+  }
+  const width = Math.max(0, ...records.map(c => c.name.length));
+  for (const c of records) {
+    const details = [c.agent_type, c.parent ? `spawned by ${c.parent}` : ''].filter(Boolean).join(', ');
+    console.log(details ? `${c.name.padEnd(width)}  ${details}` : c.name);
+  }
+}
+
+// Poll the mailbox for rows past the last id printed. PRAGMA data_version
+// changes whenever another connection commits, so idle polls are cheap.
+function tail(config: WatercoolerConfig, args: string[]) {
+  const { options } = parseOptions(args, ['n']);
+  const json = !!options.json;
+  const recipient = options.inbox ? requireUser(config) : null;
+  const db = openMailbox(config, true);
+  const filter = recipient ? 'AND recipient = ?' : '';
+  const params = recipient ? [recipient] : [];
+
+  let lastId = 0;
+  let lastVersion = -1;
+  const backlog = intOption(options.n, '-n', 0);
+
+  const poll = () => {
+    const version = db.pragma('data_version', { simple: true }) as number;
+    if (version === lastVersion) return;
+    lastVersion = version;
+    if (!ensureMessagesSchema(db)) return;
+    const rows = db.prepare(`
+      SELECT ${MESSAGE_COLUMNS} FROM messages
+      WHERE id > ? ${filter}
+      ORDER BY id ASC
+    `).all(lastId, ...params) as Message[];
+    if (rows.length) {
+      printMessages(rows, json);
+      lastId = rows[rows.length - 1].id;
+    }
+  };
+
+  if (tableExists(db, 'messages')) {
+    const { maxId } = db.prepare('SELECT COALESCE(MAX(id), 0) AS maxId FROM messages').get() as {maxId: number};
+    lastId = maxId;
+    if (backlog > 0) {
+      const rows = db.prepare(`
+        SELECT ${MESSAGE_COLUMNS} FROM messages
+        ${recipient ? 'WHERE recipient = ?' : ''}
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(...params, backlog) as Message[];
+      printMessages(rows.reverse(), json);
+    }
+  }
+  lastVersion = db.pragma('data_version', { simple: true }) as number;
+  // Errors after startup (a locked or replaced mailbox) end the tail like any other
+  setInterval(() => {
+    try {
+      poll();
+    } catch (err: any) {
+      console.error(`error: ${err.message}`);
+      process.exit(1);
+    }
+  }, 1000);
+}
+
+const COMMANDS: Record<string, (config: WatercoolerConfig, args: string[]) => void> = {
+  send,
+  tail,
+  inbox,
+  read,
+  coworkers
+};
+
+try {
+  const { config, rest } = loadConfig(process.argv.slice(2));
+  const [command, ...args] = rest;
+  if (!command || command === 'help' || !COMMANDS[command]) {
+    console.error(USAGE);
+    process.exit(command && command !== 'help' ? 1 : 0);
+  }
+  COMMANDS[command](config, args);
+} catch (err: any) {
+  console.error(`error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+
+// Settings a watercooler instance runs with. Each one can come from the
+// config file, a profile in it, an environment variable or a CLI flag,
+// in increasing order of precedence.
+export interface WatercoolerConfig {
+  user: string | null;
+  mailbox: string | null;
+  coworkers: string | null;
+  status: string | null;
+  port: number;
+  host: string;
+  token: string | null;
+  readonlyToken: string | null;
+  readonly: boolean;
+  strictRecipients: boolean;
+  sleepAfter: number; // seconds without tool usage before a desk dozes off, 0 = never
+  toolAnimations: Record<string, ToolAnimation>;
+  alerts: AlertRule[];
+}
+
+// Conditions the alert monitor watches for. `agents` limits a rule to those
+// coworkers; without it the rule applies to everyone.
+export type AlertRule =
+  // The agent's status timestamp hasn't changed in `minutes`
+  | { type: 'stalled'; minutes: number; agents?: string[] }
+  // A message to the user has been unread for `minutes` (by default only
+  // messages whose frontmatter offers `choices`, i.e. the agent is waiting)
+  | { type: 'unanswered'; minutes: number; choicesOnly?: boolean; agents?: string[] }
+  // The agent sent more than `messages` messages within `seconds`
+  | { type: 'loop'; messages: number; seconds: number; agents?: string[] };
+
+// `stalled` is opt-in: an agent that has finished its work stops using tools
+// too, and the desk already dozes off after sleepAfter
+const DEFAULT_ALERT_RULES: AlertRule[] = [
+  { type: 'unanswered', minutes: 10, choicesOnly: true },
+  { type: 'loop', messages: 20, seconds: 60 }
+];
+
+// How a desk's avatar shows the tool its agent last used
+export const TOOL_ANIMATIONS = ['typing', 'running', 'searching', 'none'] as const;
+export type ToolAnimation = typeof TOOL_ANIMATIONS[number];
+
+// Tool name patterns (case-insensitive, * matches anything) to animations.
+// The first matching pattern wins; patterns from the config file are tried
+// before these, and can map a tool to "none" to turn its animation off.
+const DEFAULT_TOOL_ANIMATIONS: Record<string, ToolAnimation> = {
+  '*edit*': 'typing',
+  '*write*': 'typing',
+  '*patch*': 'typing',
+  '*grep*': 'searching',
+  '*glob*': 'searching',
+  '*search*': 'searching',
+  '*find*': 'searching',
+  '*fetch*': 'searching',
+  '*bash*': 'running',
+  '*shell*': 'running',
+  '*exec*': 'running',
+  '*run*': 'running',
+  '*command*': 'running'
+};
+
+type PartialConfig = Partial<WatercoolerConfig>;
+
+// Where to look for a config file when --config isn't given, first match wins
+const CONFIG_NAMES = ['watercooler.config.json', 'watercooler.config.yaml', 'watercooler.config.yml'];
+
+function configCandidates(): string[] {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return [
+    ...CONFIG_NAMES.map(name => path.resolve(name)),
+    ...CONFIG_NAMES.map(name => path.join(configHome, 'watercooler', name.replace('watercooler.', ''))),
+    ...CONFIG_NAMES.map(name => path.join(configHome, name))
+  ];
+}
+
+const PATH_KEYS = ['mailbox', 'coworkers', 'status'] as const;
+const STRING_KEYS = ['user', 'host', 'token', 'readonlyToken', ...PATH_KEYS] as const;
+const BOOLEAN_KEYS = ['readonly', 'strictRecipients'] as const;
+
+// Validate one level of settings (the top level or a profile). Paths are
+// resolved against the config file's directory and may start with ~.
+function readSettings(raw: any, where: string, baseDir: string): PartialConfig {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const settings: PartialConfig = {};
+  for (const key of STRING_KEYS) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    if (typeof raw[key] !== 'string') throw new Error(`${where}.${key} must be a string`);
+    settings[key] = raw[key];
+  }
+  for (const key of BOOLEAN_KEYS) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    if (typeof raw[key] !== 'boolean') throw new Error(`${where}.${key} must be true or false`);
+    settings[key] = raw[key];
+  }
+  if (raw.port !== undefined && raw.port !== null) {
+    if (!Number.isInteger(raw.port)) throw new Error(`${where}.port must be an integer`);
+    settings.port = raw.port;
+  }
+  if (raw.sleepAfter !== undefined && raw.sleepAfter !== null) {
+    if (!Number.isInteger(raw.sleepAfter) || raw.sleepAfter < 0) throw new Error(`${where}.sleepAfter must be a non-negative integer (seconds)`);
+    settings.sleepAfter = raw.sleepAfter;
+  }
+  if (raw.toolAnimations !== undefined && raw.toolAnimations !== null) {
+    settings.toolAnimations = readToolAnimations(raw.toolAnimations, `${where}.toolAnimations`);
+  }
+  if (raw.alerts !== undefined && raw.alerts !== null) {
+    if (!Array.isArray(raw.alerts)) throw new Error(`${where}.alerts must be a list of rules`);
+    settings.alerts = raw.alerts.map((rule: any, i: number) => readAlertRule(rule, `${where}.alerts[${i}]`));
+  }
+  for (const key of PATH_KEYS) {
+    if (settings[key]) settings[key] = resolvePath(settings[key]!, baseDir);
+  }
+  return settings;
+}
+
+function readToolAnimations(raw: any, where: string): Record<string, ToolAnimation> {
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+  for (const [pattern, animation] of Object.entries(raw)) {
+    if (!TOOL_ANIMATIONS.includes(animation as ToolAnimation)) {
+      throw new Error(`${where}.${pattern} must be one of ${TOOL_ANIMATIONS.join(', ')}`);
+    }
+  }
+  return raw;
+}
+
+function readAlertRule(raw: any, where: string): AlertRule {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+  const positive = (key: string): number => {
+    if (!Number.isFinite(raw[key]) || raw[key] <= 0) throw new Error(`${where}.${key} must be a positive number`);
+    return raw[key];
+  };
+  let agents: string[] | undefined;
+  if (raw.agents !== undefined && raw.agents !== null) {
+    if (!Array.isArray(raw.agents) || !raw.agents.every((a: unknown) => typeof a === 'string')) {
+      throw new Error(`${where}.agents must be a list of names`);
+    }
+    agents = raw.agents.map((a: string) => a.toLowerCase());
+  }
+
+  switch (raw.type) {
+    case 'stalled':
+      return { type: 'stalled', minutes: positive('minutes'), agents };
+    case 'unanswered':
+      if (raw.choicesOnly !== undefined && typeof raw.choicesOnly !== 'boolean') {
+        throw new Error(`${where}.choicesOnly must be true or false`);
+      }
+      return { type: 'unanswered', minutes: positive('minutes'), choicesOnly: raw.choicesOnly ?? true, agents };
+    case 'loop':
+      return { type: 'loop', messages: positive('messages'), seconds: positive('seconds'), agents };
+    default:
+      throw new Error(`${where}.type must be one of stalled, unanswered, loop`);
+  }
+}
+
+function resolvePath(p: string, baseDir: string): string {
+  if (p === '~' || p.startsWith('~/')) p = path.join(os.homedir(), p.slice(1));
+  return path.resolve(baseDir, p);
+}
+
+// Load a config file and pick out the top-level settings merged with the
+// requested profile (or the file's defaultProfile)
+function readConfigFile(file: string, profile: string | null): { settings: PartialConfig; profile: string | null } {
+  const text = fs.readFileSync(file, 'utf8');
+  let raw: any;
+  try {
+    raw = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (err: any) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  raw = raw ?? {};
+  const baseDir = path.dirname(file);
+  const { profiles = {}, defaultProfile, ...base } = raw;
+  const settings = readSettings(base, file, baseDir);
+  if (profiles === null || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`${file}: profiles must be an object`);
+  }
+
+  const name: string | null = profile ?? defaultProfile ?? null;
+  if (!name) return { settings, profile: null };
+  if (!Object.hasOwn(profiles, name)) {
+    const known = Object.keys(profiles);
+    throw new Error(`${file}: no profile named "${name}"${known.length ? ` (profiles: ${known.join(', ')})` : ''}`);
+  }
+  return {
+    settings: { ...settings, ...readSettings(profiles[name], `${file} profiles.${name}`, baseDir) },
+    profile: name
+  };
+}
+
+function readEnv(): PartialConfig {
+  const env = process.env;
+  const settings: PartialConfig = {};
+  if (env.WATERCOOLER_USER) settings.user = env.WATERCOOLER_USER;
+  if (env.WATERCOOLER_MAILBOX) settings.mailbox = path.resolve(env.WATERCOOLER_MAILBOX);
+  if (env.WATERCOOLER_COWORKERS) settings.coworkers = path.resolve(env.WATERCOOLER_COWORKERS);
+  if (env.WATERCOOLER_STATUS) settings.status = path.resolve(env.WATERCOOLER_STATUS);
+  const port = parseInt(env.WATERCOOLER_PORT || env.PORT || '', 10);
+  if (!isNaN(port)) settings.port = port;
+  if (env.WATERCOOLER_HOST || env.HOST) settings.host = env.WATERCOOLER_HOST || env.HOST;
+  if (env.WATERCOOLER_TOKEN) settings.token = env.WATERCOOLER_TOKEN;
+  if (env.WATERCOOLER_READONLY_TOKEN) settings.readonlyToken = env.WATERCOOLER_READONLY_TOKEN;
+  if (env.WATERCOOLER_READONLY) settings.readonly = env.WATERCOOLER_READONLY !== '0' && env.WATERCOOLER_READONLY !== 'false';
+  const sleepAfter = parseInt(env.WATERCOOLER_SLEEP_AFTER || '', 10);
+  if (!isNaN(sleepAfter) && sleepAfter >= 0) settings.sleepAfter = sleepAfter;
+  return settings;
+}
+
+// Parse CLI flags. Returns the settings they set plus the --config and
+// --profile selections, and any arguments that weren't flags.
+function readArgs(args: string[]): { settings: PartialConfig; configPath: string | null; profile: string | null; rest: string[] } {
+  const settings: PartialConfig = {};
+  let configPath: string | null = null;
+  let profile: string | null = null;
+  const rest: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${args[i]} needs a value`);
+      return args[++i];
+    };
+    if (args[i] === '--user' || args[i] === '-u') {
+      settings.user = value();
+    } else if (args[i] === '--mailbox' || args[i] === '-m') {
+      settings.mailbox = path.resolve(value());
+    } else if (args[i] === '--coworkers' || args[i] === '-c') {
+      settings.coworkers = path.resolve(value());
+    } else if (args[i] === '--status' || args[i] === '-s') {
+      settings.status = path.resolve(value());
+    } else if (args[i] === '--port' || args[i] === '-p') {
+      const p = parseInt(value(), 10);
+      if (!isNaN(p)) settings.port = p;
+    } else if (args[i] === '--host' || args[i] === '-h') {
+      settings.host = value();
+    } else if (args[i] === '--token' || args[i] === '-t') {
+      settings.token = value();
+    } else if (args[i] === '--readonly-token') {
+      settings.readonlyToken = value();
+    } else if (args[i] === '--readonly') {
+      settings.readonly = true;
+    } else if (args[i] === '--strict-recipients') {
+      settings.strictRecipients = true;
+    } else if (args[i] === '--sleep-after') {
+      const seconds = parseInt(value(), 10);
+      if (!isNaN(seconds) && seconds >= 0) settings.sleepAfter = seconds;
+    } else if (args[i] === '--config') {
+      configPath = path.resolve(value());
+    } else if (args[i] === '--profile' || args[i] === '-P') {
+      profile = value();
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { settings, configPath, profile, rest };
+}
+
+// The first argument that isn't a flag or a flag's value, e.g. the subcommand
+export function firstPositional(argv: string[]): string | null {
+  return readArgs(argv).rest[0] ?? null;
+}
+
+// Resolve the effective config: defaults < config file < profile < env < CLI.
+// Also returns the config file and profile that were applied, if any, and
+// the arguments that weren't recognised as flags.
+export function loadConfig(argv: string[]): { config: WatercoolerConfig; file: string | null; profile: string | null; rest: string[] } {
+  const cli = readArgs(argv);
+  const profile = cli.profile ?? process.env.WATERCOOLER_PROFILE ?? null;
+  const explicit = cli.configPath ?? (process.env.WATERCOOLER_CONFIG ? path.resolve(process.env.WATERCOOLER_CONFIG) : null);
+
+  let file: string | null = null;
+  if (explicit) {
+    if (!fs.existsSync(explicit)) throw new Error(`Config file not found: ${explicit}`);
+    file = explicit;
+  } else {
+    file = configCandidates().find(candidate => fs.existsSync(candidate)) ?? null;
+  }
+  if (!file && profile) {
+    throw new Error(`--profile ${profile} given but no config file was found`);
+  }
+
+  const fromFile = file ? readConfigFile(file, profile) : { settings: {}, profile: null };
+  const config: WatercoolerConfig = {
+    user: null,
+    mailbox: null,
+    coworkers: null,
+    status: null,
+    port: 3000,
+    host: '0.0.0.0',
+    token: null,
+    readonlyToken: null,
+    readonly: false,
+    strictRecipients: false,
+    sleepAfter: 600,
+    alerts: DEFAULT_ALERT_RULES,
+    ...fromFile.settings,
+    ...readEnv(),
+    ...cli.settings,
+    toolAnimations: { ...fromFile.settings.toolAnimations }
+  };
+  // Built-in patterns go after the configured ones so those take precedence
+  for (const [pattern, animation] of Object.entries(DEFAULT_TOOL_ANIMATIONS)) {
+    if (!Object.hasOwn(config.toolAnimations, pattern)) config.toolAnimations[pattern] = animation;
+  }
+  return { config, file, profile: fromFile.profile, rest: cli.rest };
+}
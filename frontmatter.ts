@@ -0,0 +1,52 @@
+import YAML from 'yaml';
+
+// Message frontmatter: a YAML map between `---` lines at the top of a message.
+// Shared by the server and the browser, which loads the compiled module from
+// /frontmatter.js, so keep it free of Node imports.
+
+export interface ParsedMessage {
+  content: string;                              // the markdown after the frontmatter
+  frontmatter: Record<string, unknown> | null;  // null if absent or malformed
+  error: string | null;                         // why the frontmatter couldn't be read
+}
+
+const FRONTMATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+export function parseFrontmatter(text: string): ParsedMessage {
+  const match = text.match(FRONTMATTER);
+  if (!match) return { content: text, frontmatter: null, error: null };
+
+  const content = text.slice(match[0].length).trim();
+  const doc = YAML.parseDocument(match[1]);
+  if (doc.errors.length > 0) {
+    return { content, frontmatter: null, error: doc.errors[0].message.split('\n')[0].replace(/:$/, '') };
+  }
+  const data = doc.toJS();
+  if (data == null) return { content, frontmatter: {}, error: null };
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { content, frontmatter: null, error: 'Frontmatter must be a map of keys to values' };
+  }
+  return { content, frontmatter: data, error: null };
+}
+
+// Helper: The markdown after a message's frontmatter, without parsing the YAML
+export function stripFrontmatter(text: string): string {
+  const match = text.match(FRONTMATTER);
+  return match ? text.slice(match[0].length).trim() : text;
+}
+
+// Helper: Whether parsed frontmatter asks the user something: choices or form fields
+export function asksUser(frontmatter: Record<string, unknown> | null): boolean {
+  return [frontmatter?.choices, frontmatter?.fields].some(list => Array.isArray(list) && list.length > 0);
+}
+
+// Helper: Whether a message's frontmatter asks the user something
+export function hasChoices(text: string): boolean {
+  return asksUser(parseFrontmatter(text).frontmatter);
+}
+
+// Helper: A message row as the API returns it, with its parsed frontmatter
+export function withFrontmatter<T extends { message: string }>(row: T): T & { frontmatter: Record<string, unknown> | null; frontmatter_error: string | null } {
+  const { frontmatter, error } = parseFrontmatter(row.message);
+  return { ...row, frontmatter, frontmatter_error: error };
+}
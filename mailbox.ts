@@ -0,0 +1,200 @@
+import Database from 'better-sqlite3';
+
+// Mailbox and coworker database access shared by the web server and the
+// headless CLI subcommands.
+
+export interface Message {
+  id: number;
+  recipient: string;
+  sender: string;
+  message: string;
+  timestamp: number;
+  read: number;
+  reply_to: number | null;
+  read_at: number | null;       // when it was marked read (ms)
+  snoozed_until: number | null; // when a snoozed message turns unread again (ms)
+  reply_count: number;
+}
+
+// Helper: A status DB timestamp in ms; status DBs written by other tools may store seconds
+export function toMillis(time: number): number {
+  return time < 1e12 ? time * 1000 : time;
+}
+
+// Helper: Check if table exists
+export function tableExists(database: Database.Database | null, tableName: string): boolean {
+  if (!database) return false;
+  try {
+    const stmt = database.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name=?
+    `);
+    return !!stmt.get(tableName);
+  } catch {
+    return false;
+  }
+}
+
+// Columns added to the messages table after its original schema, in order.
+// They are nullable so agents writing with the original columns keep working.
+const MESSAGE_COLUMN_MIGRATIONS: Array<[string, string]> = [
+  ['reply_to', 'INTEGER'],
+  ['read_at', 'INTEGER'],
+  ['snoozed_until', 'INTEGER']
+];
+
+// Keeps read_at in step with the read flag, including when agents flip it
+// directly. julianday() rather than unixepoch() so older SQLite builds work.
+const READ_AT_TRIGGER = `
+  CREATE TRIGGER IF NOT EXISTS messages_read_at
+  AFTER UPDATE OF read ON messages
+  WHEN (NEW.read = 1) != (NEW.read_at IS NOT NULL)
+  BEGIN
+    UPDATE messages
+    SET read_at = CASE WHEN NEW.read = 1 THEN CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER) END
+    WHERE id = NEW.id;
+  END
+`;
+
+// Message row plus the number of direct replies to it
+export const MESSAGE_COLUMNS = `messages.*, (SELECT COUNT(*) FROM messages r WHERE r.reply_to = messages.id) AS reply_count`;
+
+const migrated = new WeakSet<Database.Database>();
+
+// Helper: Add any missing migrated columns to the messages table. Returns
+// false if the table doesn't exist yet.
+export function ensureMessagesSchema(db: Database.Database): boolean {
+  if (!tableExists(db, 'messages')) return false;
+  if (migrated.has(db)) return true;
+
+  const columns = new Set((db.prepare('PRAGMA table_info(messages)').all() as Array<{name: string}>).map(c => c.name));
+  for (const [name, type] of MESSAGE_COLUMN_MIGRATIONS) {
+    if (!columns.has(name)) {
+      db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_snoozed_until ON messages(snoozed_until) WHERE snoozed_until IS NOT NULL');
+  db.exec(READ_AT_TRIGGER);
+  migrated.add(db);
+  return true;
+}
+
+// Helper: Auto-create the messages table if it doesn't exist, then migrate it
+export function ensureMessagesTable(db: Database.Database) {
+  if (!tableExists(db, 'messages')) {
+    db.exec(`
+      CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recipient TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        message TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        read INTEGER DEFAULT 0
+      )
+    `);
+  }
+  ensureMessagesSchema(db);
+}
+
+// Helper: Insert one message, returning its id
+export function insertMessage(db: Database.Database, from: string, to: string, message: string, replyTo: number | null): number {
+  const result = db.prepare(`
+    INSERT INTO messages (recipient, sender, message, timestamp, read, reply_to)
+    VALUES (?, ?, ?, ?, 0, ?)
+  `).run(to.toLowerCase(), from.toLowerCase(), message, Date.now(), replyTo);
+  return Number(result.lastInsertRowid);
+}
+
+// Helper: Get one message by id
+export function getMessage(db: Database.Database, id: number): Message | undefined {
+  if (!ensureMessagesSchema(db)) return undefined;
+  return db.prepare(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`).get(id) as Message | undefined;
+}
+
+// Helper: Mark a message read, ending any snooze. Returns false if there is no such message.
+export function markRead(db: Database.Database, id: number): boolean {
+  if (!ensureMessagesSchema(db)) return false;
+  return db.prepare(`
+    UPDATE messages SET read = 1, read_at = COALESCE(read_at, ?), snoozed_until = NULL WHERE id = ?
+  `).run(Date.now(), id).changes > 0;
+}
+
+// Helper: Mark a message unread again. Returns false if there is no such message.
+export function markUnread(db: Database.Database, id: number): boolean {
+  if (!ensureMessagesSchema(db)) return false;
+  return db.prepare('UPDATE messages SET read = 0, read_at = NULL, snoozed_until = NULL WHERE id = ?').run(id).changes > 0;
+}
+
+// Helper: Snooze a message: it counts as read until `until` (ms), then turns
+// unread again (see wakeSnoozed). Returns false if there is no such message.
+export function snoozeMessage(db: Database.Database, id: number, until: number): boolean {
+  if (!ensureMessagesSchema(db)) return false;
+  return db.prepare(`
+    UPDATE messages SET read = 1, read_at = COALESCE(read_at, ?), snoozed_until = ? WHERE id = ?
+  `).run(Date.now(), until, id).changes > 0;
+}
+
+// Helper: Turn snoozed messages whose time has come unread. Returns how many woke.
+// Checks before writing so an idle poll never takes the write lock.
+export function wakeSnoozed(db: Database.Database, now = Date.now()): number {
+  if (!ensureMessagesSchema(db)) return 0;
+  if (!db.prepare('SELECT 1 FROM messages WHERE snoozed_until <= ? LIMIT 1').get(now)) return 0;
+  return db.prepare(`
+    UPDATE messages SET read = 0, read_at = NULL, snoozed_until = NULL WHERE snoozed_until <= ?
+  `).run(now).changes;
+}
+
+export interface Coworker {
+  name: string;
+  session_id: string | null;
+  agent_type: string | null;
+  created_at: number | null;
+  parent_id: string | null;
+  parent: string | null; // name of the coworker whose session_id is parent_id
+}
+
+// Helper: Read coworker records (from coworker.db), excluding the given user.
+// Names are lowercased; when a name has several sessions the newest wins.
+// Older coworker DBs may only have a name column.
+export function readCoworkerRecords(coworkerDb: Database.Database | null, user: string): Coworker[] {
+  if (!coworkerDb) return [];
+  let rows: Array<Record<string, any>>;
+  try {
+    rows = coworkerDb.prepare('SELECT * FROM coworkers').all() as Array<Record<string, any>>;
+  } catch (err: any) {
+    console.error('Error reading coworker.db:', err.message);
+    return [];
+  }
+
+  const namesBySession = new Map<string, string>();
+  for (const row of rows) {
+    if (row.session_id != null && row.name != null) namesBySession.set(String(row.session_id), String(row.name).toLowerCase());
+  }
+
+  const byName = new Map<string, Coworker>();
+  for (const row of rows) {
+    if (row.name == null) continue;
+    const record: Coworker = {
+      name: String(row.name).toLowerCase(),
+      session_id: row.session_id != null ? String(row.session_id) : null,
+      agent_type: row.agent_type ?? null,
+      created_at: row.created_at ?? null,
+      parent_id: row.parent_id != null ? String(row.parent_id) : null,
+      parent: null
+    };
+    record.parent = record.parent_id ? namesBySession.get(record.parent_id) ?? null : null;
+    const existing = byName.get(record.name);
+    if (!existing || (record.created_at ?? 0) >= (existing.created_at ?? 0)) {
+      byName.set(record.name, record);
+    }
+  }
+
+  byName.delete(user.toLowerCase());
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Helper: Read coworker names (from coworker.db), excluding the given user
+export function readCoworkerNames(coworkerDb: Database.Database | null, user: string): string[] {
+  return readCoworkerRecords(coworkerDb, user).map(c => c.name);
+}
@@ -3,16 +3,25 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import YAML from 'yaml';
+import { parseFrontmatter, stripFrontmatter, asksUser } from '/frontmatter.js';
 
 // State
 let config = { user: '', mailbox: '', avatar: null };
-let messages = []; // Messages TO user (for main panel)
-let allMessages = []; // All messages involving user (for desk dialogs)
+let mailPager = null; // Pager behind the messages panel's current tab and filters
+let allMessages = []; // Recent messages plus every unread one (for the village)
 let recipients = [];
+let coworkers = new Map(); // name -> coworker record (agent_type, parent, ...) from coworkers.db
 let statusStates = {}; // Map of name -> {tool_name, timestamp}
+let toolHistory = []; // Recent tool usage across agents, newest first (for the activity feed)
+let alerts = []; // Alerts raised by the server's monitor (stalled agents, unanswered messages, loops)
+const dismissedAlerts = new Set(); // ids hidden from the banner this session
 let scene, camera, renderer, controls;
 let agentMeshes = new Map();
-let connectionLines = [];
+let connectionLines = []; // lines and chevrons of every connection, for picking
+const connections = new Map(); // "sender\nrecipient" -> { line, markers, from, to }
+const tethers = new Map(); // "parent\nchild" -> { line, from, to }
+let replay = null; // timeline replay state while replaying, see toggleReplay
 let raycaster, mouse;
 
 // Color palette for agents - modern muted tones
@@ -29,6 +38,19 @@ function getAgentColor(name) {
   return agentColors[Math.abs(hash) % agentColors.length];
 }
 
+// Floor ring color per agent_type; other types get a stable color from the palette
+const agentTypeColors = {
+  orchestrator: 0xFBBF24,
+  coordinator: 0xFBBF24,
+  worker: 0x7DD3FC,
+  reviewer: 0xF9A8D4,
+  tester: 0x86EFAC
+};
+
+function getAgentTypeColor(agentType) {
+  return agentTypeColors[agentType.toLowerCase()] ?? getAgentColor(agentType);
+}
+
 // Platform dimensions
 const PLATFORM_SIZE = 60;
 const PLATFORM_HEIGHT = 2;
@@ -41,6 +63,46 @@ let glowLights = [];
 let floatingParticles = [];
 let composer = null;
 let waterMesh = null;
+const waterUniforms = { uTime: { value: 0 } };
+let dirLight = null;
+
+// Platform, walls and decorations that follow the platform size. `stretch`
+// lists the local axes scaled with it; everything moves out with the edges.
+let platformScale = 1;
+const platformScenery = [];
+
+function addScenery(object, stretch = []) {
+    object.userData.basePosition = object.position.clone();
+    object.userData.baseScale = object.scale.clone();
+    object.userData.stretch = stretch;
+    platformScenery.push(object);
+    scene.add(object);
+}
+
+// Grow (or shrink back) the platform so it is at least `size` across
+function resizePlatform(size) {
+    const scale = Math.max(1, size / PLATFORM_SIZE);
+    if (Math.abs(scale - platformScale) < 0.01) return;
+    
+    platformScenery.forEach(object => {
+        const { basePosition, baseScale, stretch } = object.userData;
+        object.position.set(basePosition.x * scale, basePosition.y, basePosition.z * scale);
+        stretch.forEach(axis => {
+            object.scale[axis] = baseScale[axis] * scale;
+        });
+    });
+    
+    const shadowCamera = dirLight.shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -40 * scale;
+    shadowCamera.right = shadowCamera.top = 40 * scale;
+    shadowCamera.updateProjectionMatrix();
+    dirLight.position.set(40 * scale, 80 * scale, 30 * scale);
+    
+    // Pull the camera back in proportion so the village stays in view
+    controls.maxDistance = 120 * scale;
+    camera.position.sub(controls.target).multiplyScalar(scale / platformScale).add(controls.target);
+    platformScale = scale;
+}
 
 // Initialize Three.js
 function init() {
@@ -83,7 +145,7 @@ function init() {
     scene.add(ambientLight);
     
     // Main directional light (warm)
-    const dirLight = new THREE.DirectionalLight(0xfff5e6, 0.6);
+    dirLight = new THREE.DirectionalLight(0xfff5e6, 0.6);
     dirLight.position.set(40, 80, 30);
     dirLight.castShadow = true;
     dirLight.shadow.camera.left = -40;
@@ -113,11 +175,11 @@ function init() {
     // Edge accent lights
     const edgeLight1 = new THREE.PointLight(0x88ffdd, 0.4, 30);
     edgeLight1.position.set(30, PLATFORM_HEIGHT + 10, 30);
-    scene.add(edgeLight1);
+    addScenery(edgeLight1);
     
     const edgeLight2 = new THREE.PointLight(0x88ffdd, 0.4, 30);
     edgeLight2.position.set(-30, PLATFORM_HEIGHT + 10, -30);
-    scene.add(edgeLight2);
+    addScenery(edgeLight2);
     
     // === Platform ===
     createPlatform();
@@ -180,7 +242,7 @@ function createPlatform() {
     platform.position.y = PLATFORM_HEIGHT / 2;
     platform.receiveShadow = true;
     platform.castShadow = true;
-    scene.add(platform);
+    addScenery(platform, ['x', 'z']);
     
     // Edge trim - lighter accent
     const trimGeo = new THREE.BoxGeometry(PLATFORM_SIZE + 0.5, 0.3, PLATFORM_SIZE + 0.5);
@@ -191,7 +253,7 @@ function createPlatform() {
     });
     const trim = new THREE.Mesh(trimGeo, trimMat);
     trim.position.y = PLATFORM_HEIGHT + 0.15;
-    scene.add(trim);
+    addScenery(trim, ['x', 'z']);
     
     // Floor surface - polished concrete with subtle grid
     const floorGeo = new THREE.PlaneGeometry(PLATFORM_SIZE - 2, PLATFORM_SIZE - 2);
@@ -204,14 +266,14 @@ function createPlatform() {
     floor.rotation.x = -Math.PI / 2;
     floor.position.y = PLATFORM_HEIGHT + 0.02;
     floor.receiveShadow = true;
-    scene.add(floor);
+    addScenery(floor, ['x', 'y']);
     
     // Subtle grid on floor
     const gridHelper = new THREE.GridHelper(PLATFORM_SIZE - 4, 20, 0x555555, 0x444444);
     gridHelper.position.y = PLATFORM_HEIGHT + 0.05;
     gridHelper.material.opacity = 0.15;
     gridHelper.material.transparent = true;
-    scene.add(gridHelper);
+    addScenery(gridHelper, ['x', 'z']);
     
     // Ground below platform (dark reflection surface)
     const groundGeo = new THREE.PlaneGeometry(300, 300);
@@ -246,17 +308,23 @@ function createReflectiveWater() {
         side: THREE.DoubleSide
     });
     
+    // Gentle ripples, displaced on the GPU so the CPU never touches the vertices
+    waterMat.onBeforeCompile = (shader) => {
+        shader.uniforms.uTime = waterUniforms.uTime;
+        shader.vertexShader = 'uniform float uTime;\n' + shader.vertexShader.replace(
+            '#include <begin_vertex>',
+            `#include <begin_vertex>
+            transformed.z += sin(length(position.xy) * 0.3 - uTime * 0.8) * 0.15
+                + sin(position.x * 0.2 + uTime * 0.5) * 0.1
+                + cos(position.y * 0.15 + uTime * 0.3) * 0.08;`
+        );
+    };
+    
     waterMesh = new THREE.Mesh(waterGeo, waterMat);
     waterMesh.rotation.x = -Math.PI / 2;
     waterMesh.position.y = -0.5;
     waterMesh.receiveShadow = true;
-    scene.add(waterMesh);
-    
-    // Add subtle ripple effect using vertex displacement
-    const positions = waterMesh.geometry.attributes.position;
-    const initialPositions = positions.array.slice();
-    waterMesh.userData.initialPositions = initialPositions;
-    waterMesh.userData.ripplePhase = 0;
+    addScenery(waterMesh, ['x', 'y']);
 }
 
 function setupPostProcessing() {
@@ -299,7 +367,7 @@ function createGlassWalls() {
         glassMat
     );
     backWall.position.set(0, wallY, -halfSize);
-    scene.add(backWall);
+    addScenery(backWall, ['x']);
     
     // Left wall
     const leftWall = new THREE.Mesh(
@@ -308,7 +376,7 @@ function createGlassWalls() {
     );
     leftWall.position.set(-halfSize, wallY, 0);
     leftWall.rotation.y = Math.PI / 2;
-    scene.add(leftWall);
+    addScenery(leftWall, ['x']);
     
     // Right wall (partial, for openness)
     const rightWall = new THREE.Mesh(
@@ -317,7 +385,7 @@ function createGlassWalls() {
     );
     rightWall.position.set(halfSize, wallY, 0);
     rightWall.rotation.y = -Math.PI / 2;
-    scene.add(rightWall);
+    addScenery(rightWall, ['x']);
     
     // Glass edge frames (vertical pillars at corners)
     const pillarGeo = new THREE.BoxGeometry(0.5, wallHeight, 0.5);
@@ -338,7 +406,7 @@ function createGlassWalls() {
         const pillar = new THREE.Mesh(pillarGeo, pillarMat);
         pillar.position.set(...pos);
         pillar.castShadow = true;
-        scene.add(pillar);
+        addScenery(pillar);
     });
     
     // Top edge frame
@@ -353,17 +421,17 @@ function createGlassWalls() {
     // Back top frame
     const backFrame = new THREE.Mesh(new THREE.BoxGeometry(PLATFORM_SIZE, 0.3, 0.3), topFrameMat);
     backFrame.position.set(0, frameY, -halfSize);
-    scene.add(backFrame);
+    addScenery(backFrame, ['x']);
     
     // Left top frame
     const leftFrame = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.3, PLATFORM_SIZE), topFrameMat);
     leftFrame.position.set(-halfSize, frameY, 0);
-    scene.add(leftFrame);
+    addScenery(leftFrame, ['z']);
     
     // Right top frame
     const rightFrame = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.3, PLATFORM_SIZE), topFrameMat);
     rightFrame.position.set(halfSize, frameY, 0);
-    scene.add(rightFrame);
+    addScenery(rightFrame, ['z']);
 }
 
 function createPlants() {
@@ -385,40 +453,51 @@ function createPlants() {
     });
 }
 
+// Every plant cluster shares these; leaves and ferns get their size by scaling
+const plantGeometries = {
+    planter: new THREE.BoxGeometry(3, 1.5, 3),
+    soil: new THREE.BoxGeometry(2.6, 0.2, 2.6),
+    leaf: new THREE.SphereGeometry(1, 8, 8),
+    fern: new THREE.ConeGeometry(0.3, 1, 6)
+};
+const plantMaterials = {
+    planter: new THREE.MeshStandardMaterial({
+        color: 0x2a2a2a,
+        roughness: 0.6,
+        metalness: 0.1
+    }),
+    soil: new THREE.MeshStandardMaterial({ color: 0x3d2817 }),
+    leaves: [0x1a6b3a, 0x228B22, 0x2d8b4e, 0x1f7a3f].map(color => new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.8
+    })),
+    fern: new THREE.MeshStandardMaterial({
+        color: 0x1a5c2e,
+        roughness: 0.7
+    })
+};
+
 function createPlantCluster(x, y, z) {
     const group = new THREE.Group();
     
     // Planter box
-    const planterGeo = new THREE.BoxGeometry(3, 1.5, 3);
-    const planterMat = new THREE.MeshStandardMaterial({
-        color: 0x2a2a2a,
-        roughness: 0.6,
-        metalness: 0.1
-    });
-    const planter = new THREE.Mesh(planterGeo, planterMat);
+    const planter = new THREE.Mesh(plantGeometries.planter, plantMaterials.planter);
     planter.position.y = 0.75;
     planter.castShadow = true;
     planter.receiveShadow = true;
     group.add(planter);
     
     // Soil
-    const soilGeo = new THREE.BoxGeometry(2.6, 0.2, 2.6);
-    const soilMat = new THREE.MeshStandardMaterial({ color: 0x3d2817 });
-    const soil = new THREE.Mesh(soilGeo, soilMat);
+    const soil = new THREE.Mesh(plantGeometries.soil, plantMaterials.soil);
     soil.position.y = 1.5;
     group.add(soil);
     
     // Foliage - multiple spheres for bush look
-    const leafColors = [0x1a6b3a, 0x228B22, 0x2d8b4e, 0x1f7a3f];
-    
+    const leafMaterials = plantMaterials.leaves;
     for (let i = 0; i < 5; i++) {
         const size = 0.6 + Math.random() * 0.8;
-        const leafGeo = new THREE.SphereGeometry(size, 8, 8);
-        const leafMat = new THREE.MeshStandardMaterial({
-            color: leafColors[Math.floor(Math.random() * leafColors.length)],
-            roughness: 0.8
-        });
-        const leaf = new THREE.Mesh(leafGeo, leafMat);
+        const leaf = new THREE.Mesh(plantGeometries.leaf, leafMaterials[Math.floor(Math.random() * leafMaterials.length)]);
+        leaf.scale.setScalar(size);
         leaf.position.set(
             (Math.random() - 0.5) * 1.5,
             1.8 + Math.random() * 1.5,
@@ -430,12 +509,8 @@ function createPlantCluster(x, y, z) {
     
     // Tall fern-like elements (cone shapes)
     for (let i = 0; i < 3; i++) {
-        const fernGeo = new THREE.ConeGeometry(0.3, 2 + Math.random() * 2, 6);
-        const fernMat = new THREE.MeshStandardMaterial({
-            color: 0x1a5c2e,
-            roughness: 0.7
-        });
-        const fern = new THREE.Mesh(fernGeo, fernMat);
+        const fern = new THREE.Mesh(plantGeometries.fern, plantMaterials.fern);
+        fern.scale.y = 2 + Math.random() * 2;
         fern.position.set(
             (Math.random() - 0.5) * 1.5,
             2.5 + Math.random() * 1.5,
@@ -446,7 +521,7 @@ function createPlantCluster(x, y, z) {
     }
     
     group.position.set(x, y, z);
-    scene.add(group);
+    addScenery(group);
 }
 
 function createHolographicSphere() {
@@ -522,7 +597,7 @@ function createGlowLights() {
         const post = new THREE.Mesh(postGeo, postMat);
         post.position.set(pos[0], pos[1] + 3, pos[2]);
         post.castShadow = true;
-        scene.add(post);
+        addScenery(post);
         
         // Lamp bulb
         const bulbGeo = new THREE.SphereGeometry(0.4, 16, 16);
@@ -533,13 +608,13 @@ function createGlowLights() {
         });
         const bulb = new THREE.Mesh(bulbGeo, bulbMat);
         bulb.position.set(pos[0], pos[1] + 6.2, pos[2]);
-        scene.add(bulb);
+        addScenery(bulb);
         
         // Point light
         const light = new THREE.PointLight(0xffcc66, 0.5, 18);
         light.position.set(pos[0], pos[1] + 6.2, pos[2]);
         light.castShadow = false;
-        scene.add(light);
+        addScenery(light);
         glowLights.push({ bulb, light, baseIntensity: 0.5 });
     });
 }
@@ -566,7 +641,7 @@ function createFloatingParticles() {
     });
     
     const particles = new THREE.Points(geometry, material);
-    scene.add(particles);
+    addScenery(particles, ['x', 'z']);
     floatingParticles.push(particles);
 }
 
@@ -612,276 +687,224 @@ function createBackgroundStars() {
     floatingParticles.push(stars);
 }
 
-function createAgentDesk(name, position, toolName = null) {
-    const color = getAgentColor(name);
-    const group = new THREE.Group();
-    group.position.copy(position);
-    group.position.y = PLATFORM_HEIGHT;
-    
-    // Modern desk - white top with thin legs
-    const deskTopGeo = new THREE.BoxGeometry(5, 0.2, 3);
-    const deskMat = new THREE.MeshStandardMaterial({
-        color: 0xe8e8e8,
-        roughness: 0.3,
-        metalness: 0.1
-    });
-    const deskTop = new THREE.Mesh(deskTopGeo, deskMat);
-    deskTop.position.y = 2.5;
-    deskTop.castShadow = true;
-    deskTop.receiveShadow = true;
-    group.add(deskTop);
-    
-    // Desk legs - thin metal
-    const legGeo = new THREE.CylinderGeometry(0.08, 0.08, 2.4, 8);
-    const legMat = new THREE.MeshStandardMaterial({
-        color: 0x999999,
-        roughness: 0.2,
-        metalness: 0.7
-    });
-    const legPositions = [
-        [-2.2, 1.2, -1.2],
-        [2.2, 1.2, -1.2],
-        [-2.2, 1.2, 1.2],
-        [2.2, 1.2, 1.2]
-    ];
-    legPositions.forEach(pos => {
-        const leg = new THREE.Mesh(legGeo, legMat);
-        leg.position.set(...pos);
-        group.add(leg);
-    });
-    
-    // Modern chair - sleek
-    const chairSeatGeo = new THREE.BoxGeometry(1.8, 0.15, 1.8);
-    const chairMat = new THREE.MeshStandardMaterial({
-        color: 0x2a2a2a,
-        roughness: 0.5,
-        metalness: 0.2
-    });
-    const chairSeat = new THREE.Mesh(chairSeatGeo, chairMat);
-    chairSeat.position.set(0, 1.6, 3.2);
-    chairSeat.castShadow = true;
-    group.add(chairSeat);
-    
-    // Chair back - curved look (box approximation)
-    const chairBackGeo = new THREE.BoxGeometry(1.8, 2.2, 0.15);
-    const chairBack = new THREE.Mesh(chairBackGeo, chairMat);
-    chairBack.position.set(0, 2.7, 4.1);
-    chairBack.castShadow = true;
-    group.add(chairBack);
-    
-    // Chair post
-    const chairPostGeo = new THREE.CylinderGeometry(0.1, 0.1, 1.2, 8);
-    const chairPost = new THREE.Mesh(chairPostGeo, legMat);
-    chairPost.position.set(0, 0.9, 3.2);
-    group.add(chairPost);
+// Desk furniture is drawn with one InstancedMesh per part, shared by every
+// desk. A desk's Group only holds its label, type ring and an invisible hit
+// box for clicks; writeDeskInstances copies its transform into the instances.
+function partTransforms(...transforms) {
+    return transforms.map(([x, y, z, rx = 0, ry = 0, rz = 0]) => new THREE.Matrix4().compose(
+        new THREE.Vector3(x, y, z),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(rx, ry, rz)),
+        new THREE.Vector3(1, 1, 1)
+    ));
+}
+
+function createDeskParts() {
+    const deskMat = new THREE.MeshStandardMaterial({ color: 0xe8e8e8, roughness: 0.3, metalness: 0.1 });
+    const legMat = new THREE.MeshStandardMaterial({ color: 0x999999, roughness: 0.2, metalness: 0.7 });
+    const chairMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.5, metalness: 0.2 });
+    // White so the per-desk instance colors (the agent's color, a dimmed
+    // screen for a sleeping agent) show as is
+    const clothesMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, metalness: 0.05 });
+    const skinMat = new THREE.MeshStandardMaterial({ color: 0xf5d0b0, roughness: 0.7 });
+    const monitorMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.3, metalness: 0.5 });
+    const screenMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    const agentColor = desk => getAgentColor(desk.userData.agentName);
+    const keyboardMat = new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.5, metalness: 0.3 });
     
     // Chair base star
-    for (let i = 0; i < 5; i++) {
-        const armGeo = new THREE.CylinderGeometry(0.06, 0.06, 1.2, 6);
-        const arm = new THREE.Mesh(armGeo, legMat);
+    const starArms = Array.from({ length: 5 }, (_, i) => {
         const angle = (i / 5) * Math.PI * 2;
-        arm.rotation.z = Math.PI / 2;
-        arm.position.set(
-            Math.cos(angle) * 0.5,
-            0.3,
-            3.2 + Math.sin(angle) * 0.5
-        );
-        arm.rotation.y = angle;
-        group.add(arm);
-    }
-    
-    // Person - Body (sitting, modern look)
-    const bodyGeo = new THREE.CylinderGeometry(0.6, 0.5, 2, 8);
-    const bodyMat = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.6,
-        metalness: 0.05
+        return [Math.cos(angle) * 0.5, 0.3, 3.2 + Math.sin(angle) * 0.5, 0, angle, Math.PI / 2];
     });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.position.set(0, 2.7, 3.2);
-    body.castShadow = true;
-    group.add(body);
     
-    // Person - Head
-    const headGeo = new THREE.SphereGeometry(0.5, 16, 16);
-    const headMat = new THREE.MeshStandardMaterial({
-        color: 0xf5d0b0,
-        roughness: 0.7
-    });
-    const head = new THREE.Mesh(headGeo, headMat);
-    head.position.set(0, 4.0, 3.2);
-    head.castShadow = true;
-    group.add(head);
-    
-    // Person - Arms on desk
-    const armObjGeo = new THREE.CylinderGeometry(0.12, 0.12, 1.8, 6);
-    const armMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.6 });
-    
-    const leftArm = new THREE.Mesh(armObjGeo, armMat);
-    leftArm.rotation.z = Math.PI / 2;
-    leftArm.rotation.y = 0.3;
-    leftArm.position.set(-0.8, 2.8, 2);
-    group.add(leftArm);
-    
-    const rightArm = new THREE.Mesh(armObjGeo, armMat);
-    rightArm.rotation.z = Math.PI / 2;
-    rightArm.rotation.y = -0.3;
-    rightArm.position.set(0.8, 2.8, 2);
-    group.add(rightArm);
-    
-    // Monitor (modern flat screen)
-    const monitorStandGeo = new THREE.CylinderGeometry(0.5, 0.6, 0.1, 16);
-    const monitorMat = new THREE.MeshStandardMaterial({
-        color: 0x333333,
-        roughness: 0.3,
-        metalness: 0.5
+    return [
+        // Modern desk - white top with thin metal legs
+        { geometry: new THREE.BoxGeometry(5, 0.2, 3), material: deskMat, shadow: true,
+          transforms: partTransforms([0, 2.5, 0]) },
+        { geometry: new THREE.CylinderGeometry(0.08, 0.08, 2.4, 8), material: legMat,
+          transforms: partTransforms([-2.2, 1.2, -1.2], [2.2, 1.2, -1.2], [-2.2, 1.2, 1.2], [2.2, 1.2, 1.2]) },
+        // Chair - seat, back, post and base star
+        { geometry: new THREE.BoxGeometry(1.8, 0.15, 1.8), material: chairMat, shadow: true,
+          transforms: partTransforms([0, 1.6, 3.2]) },
+        { geometry: new THREE.BoxGeometry(1.8, 2.2, 0.15), material: chairMat, shadow: true,
+          transforms: partTransforms([0, 2.7, 4.1]) },
+        { geometry: new THREE.CylinderGeometry(0.1, 0.1, 1.2, 8), material: legMat,
+          transforms: partTransforms([0, 0.9, 3.2]) },
+        { geometry: new THREE.CylinderGeometry(0.06, 0.06, 1.2, 6), material: legMat,
+          transforms: partTransforms(...starArms) },
+        // Person - body, head and arms on the desk
+        { geometry: new THREE.CylinderGeometry(0.6, 0.5, 2, 8), material: clothesMat, shadow: true, color: agentColor,
+          transforms: partTransforms([0, 2.7, 3.2]) },
+        { geometry: new THREE.SphereGeometry(0.5, 16, 16), material: skinMat, shadow: true,
+          transforms: partTransforms([0, 4.0, 3.2]) },
+        { geometry: new THREE.CylinderGeometry(0.12, 0.12, 1.8, 6), material: clothesMat, color: agentColor, pose: armPose,
+          transforms: partTransforms([-0.8, 2.8, 2, 0, 0.3, Math.PI / 2], [0.8, 2.8, 2, 0, -0.3, Math.PI / 2]) },
+        // Monitor - stand, neck, frame and glowing screen
+        { geometry: new THREE.CylinderGeometry(0.5, 0.6, 0.1, 16), material: monitorMat,
+          transforms: partTransforms([0, 2.65, 0.8]) },
+        { geometry: new THREE.CylinderGeometry(0.08, 0.08, 1.2, 8), material: monitorMat,
+          transforms: partTransforms([0, 3.2, 0.8]) },
+        { geometry: new THREE.BoxGeometry(3, 1.8, 0.12), material: monitorMat, shadow: true,
+          transforms: partTransforms([0, 4.0, 0.8]) },
+        { geometry: new THREE.PlaneGeometry(2.7, 1.5), material: screenMat, color: () => 0x2a6b5e,
+          transforms: partTransforms([0, 4.0, 0.87]) },
+        // Keyboard
+        { geometry: new THREE.BoxGeometry(1.6, 0.05, 0.5), material: keyboardMat,
+          transforms: partTransforms([0, 2.63, 2]) }
+    ];
+}
+
+let deskParts = null;
+let deskCapacity = 0;
+const deskSlots = []; // slot -> desk Group
+
+// (Re)build the instanced meshes with room for at least `count` desks
+function ensureDeskCapacity(count) {
+    if (deskParts && count <= deskCapacity) return;
+    if (!deskParts) deskParts = createDeskParts();
+    deskCapacity = Math.max(count, deskCapacity * 2, 32);
+    
+    deskParts.forEach(part => {
+        if (part.mesh) {
+            scene.remove(part.mesh);
+            part.mesh.dispose();
+        }
+        const mesh = new THREE.InstancedMesh(part.geometry, part.material, deskCapacity * part.transforms.length);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        mesh.castShadow = !!part.shadow;
+        mesh.receiveShadow = !!part.shadow;
+        // Instances span the whole village, so the geometry's bounds don't apply
+        mesh.frustumCulled = false;
+        if (part.color) {
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(deskCapacity * part.transforms.length * 3), 3);
+        }
+        part.mesh = mesh;
+        scene.add(mesh);
     });
-    const monitorStand = new THREE.Mesh(monitorStandGeo, monitorMat);
-    monitorStand.position.set(0, 2.65, 0.8);
-    group.add(monitorStand);
-    
-    const monitorNeckGeo = new THREE.CylinderGeometry(0.08, 0.08, 1.2, 8);
-    const monitorNeck = new THREE.Mesh(monitorNeckGeo, monitorMat);
-    monitorNeck.position.set(0, 3.2, 0.8);
-    group.add(monitorNeck);
-    
-    // Screen
-    const screenFrameGeo = new THREE.BoxGeometry(3, 1.8, 0.12);
-    const screenFrame = new THREE.Mesh(screenFrameGeo, monitorMat);
-    screenFrame.position.set(0, 4.0, 0.8);
-    screenFrame.castShadow = true;
-    group.add(screenFrame);
-    
-    // Screen display (glowing)
-    const screenDisplayGeo = new THREE.PlaneGeometry(2.7, 1.5);
-    const screenDisplayMat = new THREE.MeshBasicMaterial({
-        color: 0x2a6b5e,
-    });
-    const screenDisplay = new THREE.Mesh(screenDisplayGeo, screenDisplayMat);
-    screenDisplay.position.set(0, 4.0, 0.87);
-    group.add(screenDisplay);
-    
-    // Screen glow light
-    const screenLight = new THREE.PointLight(0x4fd1c5, 0.3, 6);
-    screenLight.position.set(0, 4.0, 1.5);
-    group.add(screenLight);
-    
-    // Keyboard
-    const kbGeo = new THREE.BoxGeometry(1.6, 0.05, 0.5);
-    const kbMat = new THREE.MeshStandardMaterial({
-        color: 0x444444,
-        roughness: 0.5,
-        metalness: 0.3
+    deskSlots.forEach(writeDeskInstances);
+}
+
+const instanceMatrix = new THREE.Matrix4();
+const instanceColor = new THREE.Color();
+
+// How much a sleeping agent's clothes and screen are darkened
+const SLEEP_DIM = 0.3;
+
+// Copy a desk's transform (and colors) into its slot of every part, or of
+// just the given parts
+function writeDeskInstances(desk, parts = deskParts) {
+    desk.updateMatrix();
+    const slot = desk.userData.slot;
+    parts.forEach(part => {
+        const { mesh, transforms } = part;
+        if (part.color) {
+            instanceColor.setHex(part.color(desk));
+            if (desk.userData.asleep) instanceColor.multiplyScalar(SLEEP_DIM);
+        }
+        transforms.forEach((local, k) => {
+            const index = slot * transforms.length + k;
+            instanceMatrix.copy(desk.matrix);
+            const pose = part.pose?.(desk, k);
+            if (pose) instanceMatrix.multiply(pose);
+            mesh.setMatrixAt(index, instanceMatrix.multiply(local));
+            if (part.color) mesh.setColorAt(index, instanceColor);
+        });
+        mesh.count = deskSlots.length * transforms.length;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (part.color) mesh.instanceColor.needsUpdate = true;
     });
-    const keyboard = new THREE.Mesh(kbGeo, kbMat);
-    keyboard.position.set(0, 2.63, 2);
-    group.add(keyboard);
-    
-    // Name label sprite
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    const scale = 2;
-    canvas.width = 512;
-    canvas.height = toolName ? 160 : 128;
-    context.scale(scale, scale);
-    
-    // Frosted glass background
-    context.fillStyle = 'rgba(20, 60, 60, 0.85)';
-    context.roundRect(0, 0, 256, toolName ? 80 : 64, 16);
-    context.fill();
-    
-    // Subtle border
-    context.strokeStyle = 'rgba(79, 209, 197, 0.4)';
-    context.lineWidth = 1;
-    context.roundRect(0, 0, 256, toolName ? 80 : 64, 16);
-    context.stroke();
-    
-    context.font = 'bold 22px Arial';
-    context.fillStyle = '#e0f5f0';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillText(name, 128, 24);
+}
+
+// Hands tapping up and down, alternately, while an agent is typing
+const armOffset = new THREE.Matrix4();
+function armPose(desk, k) {
+    if (desk.userData.activity !== 'typing') return null;
+    const phase = performance.now() * 0.018 + k * Math.PI;
+    return armOffset.makeTranslation(0, Math.max(0, Math.sin(phase)) * 0.15, 0);
+}
+
+// Invisible click target covering a desk and its chair, shared by every desk
+const deskHitGeometry = new THREE.BoxGeometry(5.5, 5, 6);
+const deskHitMaterial = new THREE.MeshBasicMaterial({ visible: false });
+
+function createAgentDesk(name, position) {
+    const group = new THREE.Group();
+    group.position.copy(position);
+    group.position.y = PLATFORM_HEIGHT;
+    group.userData.agentName = name;
     
-    if (toolName) {
-        context.font = 'italic 14px Arial';
-        context.fillStyle = '#4fd1c5';
-        context.fillText(toolName, 128, 56);
-    }
+    const hitBox = new THREE.Mesh(deskHitGeometry, deskHitMaterial);
+    hitBox.position.set(0, 2.5, 1.3);
+    group.add(hitBox);
     
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.minFilter = THREE.LinearFilter;
-    texture.magFilter = THREE.LinearFilter;
-    const spriteMat = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(spriteMat);
+    // Name label sprite, drawn by updateDeskLabels
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial());
     sprite.position.set(0, 6.5, 2);
-    sprite.scale.set(7, toolName ? 2.2 : 1.8, 1);
+    sprite.scale.set(7, 1.8, 1);
     sprite.name = 'label';
     group.add(sprite);
     
     scene.add(group);
     agentMeshes.set(name, group);
     
+    ensureDeskCapacity(deskSlots.length + 1);
+    group.userData.slot = deskSlots.length;
+    deskSlots.push(group);
+    writeDeskInstances(group);
+    
     return group;
 }
 
-function updateDeskLabel(desk, name, toolName = null) {
-    const sprite = desk.getObjectByName('label');
-    if (!sprite) return;
-    
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    const scale = 2;
-    canvas.width = 512;
-    canvas.height = toolName ? 160 : 128;
-    context.scale(scale, scale);
-    
-    context.fillStyle = 'rgba(20, 60, 60, 0.85)';
-    context.roundRect(0, 0, 256, toolName ? 80 : 64, 16);
-    context.fill();
-    
-    context.strokeStyle = 'rgba(79, 209, 197, 0.4)';
-    context.lineWidth = 1;
-    context.roundRect(0, 0, 256, toolName ? 80 : 64, 16);
-    context.stroke();
-    
-    context.font = 'bold 22px Arial';
-    context.fillStyle = '#e0f5f0';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillText(name, 128, 24);
+// Remove a desk, moving the last desk into its instance slot
+function removeAgentDesk(name) {
+    const desk = agentMeshes.get(name);
+    if (!desk) return;
+    scene.remove(desk);
     
-    if (toolName) {
-        context.font = 'italic 14px Arial';
-        context.fillStyle = '#4fd1c5';
-        context.fillText(toolName, 128, 56);
+    const sprite = desk.getObjectByName('label');
+    sprite.material.map?.dispose();
+    sprite.material.dispose();
+    
+    const last = deskSlots.pop();
+    if (last !== desk) {
+        last.userData.slot = desk.userData.slot;
+        deskSlots[last.userData.slot] = last;
+        writeDeskInstances(last);
+    } else {
+        deskParts.forEach(part => { part.mesh.count = deskSlots.length * part.transforms.length; });
     }
-    
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.minFilter = THREE.LinearFilter;
-    texture.magFilter = THREE.LinearFilter;
-    sprite.material.map = texture;
-    sprite.material.needsUpdate = true;
-    
-    sprite.position.set(0, 6.5, 2);
-    sprite.scale.set(7, toolName ? 2.2 : 1.8, 1);
+    agentMeshes.delete(name);
 }
 
-function createMessageParticle(fromPos, toPos) {
-    const particleGeo = new THREE.SphereGeometry(0.35, 12, 12);
-    const particleMat = new THREE.MeshBasicMaterial({ 
-        color: 0xff6b6b,
-        transparent: true,
-        opacity: 0.95
-    });
-    const particle = new THREE.Mesh(particleGeo, particleMat);
+// Particles, connection lines and their direction markers share geometry and
+// materials; only the line geometry is per-connection.
+const particleGeometry = new THREE.SphereGeometry(0.35, 12, 12);
+const particleMaterial = new THREE.MeshBasicMaterial({
+    color: 0xff6b6b,
+    transparent: true,
+    opacity: 0.95
+});
+const connectionLineMaterial = new THREE.LineBasicMaterial({
+    color: 0xff6b6b,
+    opacity: 0.7,
+    transparent: true,
+    linewidth: 3
+});
+const connectionMarkerGeometry = new THREE.ConeGeometry(0.25, 0.7, 8);
+const connectionMarkerMaterial = new THREE.MeshBasicMaterial({
+    color: 0xff6b6b,
+    transparent: true,
+    opacity: 0.5
+});
+
+// Fly a particle from one desk to another, calling onLand when it arrives
+function createMessageParticle(fromPos, toPos, onLand) {
+    const particle = new THREE.Mesh(particleGeometry, particleMaterial);
     
     particle.position.copy(fromPos);
     particle.position.y += 5;
     
-    // Add a glow point light that follows particle
-    const glow = new THREE.PointLight(0xff6b6b, 1.0, 10);
-    particle.add(glow);
-    
     scene.add(particle);
     
     const startTime = Date.now();
@@ -907,221 +930,1049 @@ function createMessageParticle(fromPos, toPos) {
             requestAnimationFrame(animateParticle);
         } else {
             scene.remove(particle);
+            if (onLand) onLand();
         }
     }
     
     animateParticle();
 }
 
-function createConnectionLine(fromPos, toPos) {
-    const startPos = new THREE.Vector3(fromPos.x, fromPos.y + 5, fromPos.z);
-    const endPos = new THREE.Vector3(toPos.x, toPos.y + 5, toPos.z);
-    
-    // Create curved line with points
-    const mid = new THREE.Vector3().addVectors(startPos, endPos).multiplyScalar(0.5);
-    mid.y += 2;
-    
-    const curve = new THREE.QuadraticBezierCurve3(startPos, mid, endPos);
-    const points = curve.getPoints(50);
-    
-    // Main line - thicker, glowing red
-    const material = new THREE.LineBasicMaterial({
+// Ripple that spreads across the floor of a desk when a message lands there.
+// It's parented to the desk so it follows a desk that is gliding.
+const landingPulseGeometry = new THREE.RingGeometry(1.2, 1.6, 48);
+
+function createLandingPulse(desk) {
+    const material = new THREE.MeshBasicMaterial({
         color: 0xff6b6b,
-        opacity: 0.7,
         transparent: true,
-        linewidth: 3
+        opacity: 0.9,
+        side: THREE.DoubleSide,
+        depthWrite: false
     });
+    const pulse = new THREE.Mesh(landingPulseGeometry, material);
+    pulse.rotation.x = -Math.PI / 2;
+    pulse.position.set(0, 0.1, 1.6);
+    desk.add(pulse);
     
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    const line = new THREE.Line(geometry, material);
-    
-    scene.add(line);
-    connectionLines.push(line);
+    const startTime = Date.now();
+    const duration = 900;
     
-    // Add small chevron markers along the path to show direction
-    const direction = new THREE.Vector3().subVectors(endPos, startPos).normalize();
-    const up = new THREE.Vector3(0, 1, 0);
-    const numMarkers = 4;
-    for (let i = 0; i < numMarkers; i++) {
-        const t = (i + 1) / (numMarkers + 1);
-        const markerPos = curve.getPoint(t);
-        
-        const markerGeo = new THREE.ConeGeometry(0.25, 0.7, 8);
-        const markerMat = new THREE.MeshBasicMaterial({
-            color: 0xff6b6b,
-            transparent: true,
-            opacity: 0.5
-        });
-        const marker = new THREE.Mesh(markerGeo, markerMat);
+    function animatePulse() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        pulse.scale.setScalar(1 + eased * 3);
+        material.opacity = 0.9 * (1 - progress);
         
-        // Get tangent at this point for direction
-        const tangent = curve.getTangent(t);
-        marker.position.copy(markerPos);
-        
-        const markerQuat = new THREE.Quaternion();
-        markerQuat.setFromUnitVectors(up, tangent);
-        marker.setRotationFromQuaternion(markerQuat);
-        
-        scene.add(marker);
-        connectionLines.push(marker);
+        if (progress < 1) {
+            requestAnimationFrame(animatePulse);
+        } else {
+            desk.remove(pulse);
+            material.dispose();
+        }
     }
     
-    setTimeout(() => {
-        createMessageParticle(fromPos, toPos);
-    }, 50);
+    animatePulse();
 }
 
-function clearConnections() {
-    connectionLines.forEach(line => scene.remove(line));
-    connectionLines = [];
-}
+// Highest message id that has been animated. Null until the first load, which
+// only records where the mailbox stands so existing mail doesn't all fly at once.
+let lastArrivedMessageId = null;
+const MAX_ARRIVALS_PER_UPDATE = 50;
 
-function updateVillage() {
-    clearConnections();
-    
-    // Use recipients (from coworkers.db) as the authoritative list of agents
-    // Only show people in the coworker list, not random message senders
-    const allAgents = new Set([config.user.toLowerCase(), ...recipients.map(r => r.toLowerCase())]);
-    
-    // Arrange agents in a circle on the platform
-    const agents = Array.from(allAgents);
-    const radius = Math.min(20, Math.max(10, agents.length * 3));
-    
-    agents.forEach((agent, index) => {
-        const angle = (index / agents.length) * Math.PI * 2 - Math.PI / 2;
-        const x = Math.cos(angle) * radius;
-        const z = Math.sin(angle) * radius;
-        const position = new THREE.Vector3(x, 0, z);
-        
-        const statusState = statusStates[agent.toLowerCase()];
-        const toolName = statusState?.tool_name || null;
-        
-        if (!agentMeshes.has(agent)) {
-            const group = createAgentDesk(agent, position, toolName);
-            // Face desk toward center
-            group.lookAt(new THREE.Vector3(0, PLATFORM_HEIGHT, 0));
-        } else {
-            const desk = agentMeshes.get(agent);
-            desk.position.set(x, PLATFORM_HEIGHT, z);
-            desk.lookAt(new THREE.Vector3(0, PLATFORM_HEIGHT, 0));
-            updateDeskLabel(desk, agent, toolName);
-        }
-    });
-    
-    // Remove desks for coworkers that no longer exist
-    agentMeshes.forEach((desk, name) => {
-        if (!allAgents.has(name)) {
-            // Remove from scene
-            scene.remove(desk);
-            
-            // Dispose of geometries and materials to prevent memory leaks
-            desk.traverse((child) => {
-                if (child.isMesh) {
-                    child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
-            
-            // Remove from Map
-            agentMeshes.delete(name);
-        }
-    });
+// Fire one particle per message that arrived since the previous refresh
+function animateMessageArrivals() {
+    const maxId = allMessages.reduce((max, m) => Math.max(max, m.id), 0);
+    if (lastArrivedMessageId === null) {
+        lastArrivedMessageId = maxId;
+        return;
+    }
     
-    // Create connections for unread messages only
-    allMessages.forEach(msg => {
+    const arrivals = allMessages
+        .filter(m => m.id > lastArrivedMessageId)
+        .sort((a, b) => a.id - b.id);
+    lastArrivedMessageId = Math.max(lastArrivedMessageId, maxId);
+    flyMessages(arrivals);
+}
+
+// Fly a particle along each message, oldest first, skipping agents without a desk
+function flyMessages(messages) {
+    messages.slice(-MAX_ARRIVALS_PER_UPDATE).forEach((msg, i) => {
         const fromDesk = agentMeshes.get(msg.sender.toLowerCase());
         const toDesk = agentMeshes.get(msg.recipient.toLowerCase());
+        if (!fromDesk || !toDesk || fromDesk === toDesk) return;
         
-        if (fromDesk && toDesk && !msg.read) {
-            createConnectionLine(
-                fromDesk.position,
-                toDesk.position
-            );
-        }
+        // Stagger a burst (e.g. a broadcast) so the particles are distinguishable
+        setTimeout(() => {
+            createMessageParticle(deskPosition(fromDesk), deskPosition(toDesk), () => createLandingPulse(toDesk));
+        }, i * 80);
     });
-    
-    // Update desk labels with unread indicators
-    updateDeskLabels();
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    
-    const time = Date.now() * 0.001;
-    
-    // Rotate holographic sphere
-    if (holoSphere) {
-        holoSphere.rotation.y = time * 0.15;
-        holoSphere.rotation.x = Math.sin(time * 0.1) * 0.1;
+// Points along a connection curve, and chevron markers along it showing direction
+const CONNECTION_SEGMENTS = 50;
+const CONNECTION_MARKERS = 4;
+const markerUp = new THREE.Vector3(0, 1, 0);
+
+// Helper: Write points into a line's position attribute in place
+function setLinePoints(line, points) {
+    const attribute = line.geometry.getAttribute('position');
+    points.forEach((p, i) => attribute.setXYZ(i, p.x, p.y, p.z));
+    attribute.needsUpdate = true;
+    line.geometry.computeBoundingSphere();
+}
+
+// Show the line for a conversation between two desks. Lines persist across
+// updates; they are only created for a new pair and only redrawn when one
+// of the desks has moved.
+function setConnectionLine(fromPos, toPos, pair) {
+    const key = pair.join('\n');
+    let connection = connections.get(key);
+    if (!connection) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            Array.from({ length: CONNECTION_SEGMENTS + 1 }, () => new THREE.Vector3())
+        );
+        const line = new THREE.Line(geometry, connectionLineMaterial);
+        line.userData.pair = pair; // clicking a connection opens the pair's conversation
+        const markers = Array.from({ length: CONNECTION_MARKERS }, () => {
+            const marker = new THREE.Mesh(connectionMarkerGeometry, connectionMarkerMaterial);
+            marker.userData.pair = pair;
+            return marker;
+        });
+        scene.add(line, ...markers);
+        connection = { line, markers, from: null, to: null };
+        connections.set(key, connection);
     }
+    if (connection.from?.equals(fromPos) && connection.to?.equals(toPos)) return;
+    connection.from = fromPos.clone();
+    connection.to = toPos.clone();
     
-    // Animate floating particles
-    floatingParticles.forEach((particles, index) => {
-        const positions = particles.geometry.attributes.position.array;
-        
-        if (particles.userData.twinklePhase !== undefined) {
-            // Star twinkling effect
-            const twinkle = Math.sin(time * 2 + particles.userData.twinklePhase) * 0.3 + 0.7;
-            particles.material.opacity = 0.4 + twinkle * 0.4;
-            
-            // Slowly rotate stars
-            particles.rotation.y = time * 0.02;
-        } else {
-            // Regular floating particles
-            for (let i = 0; i < positions.length; i += 3) {
-                positions[i + 1] += Math.sin(time + positions[i] * 0.1) * 0.003;
-            }
-            particles.geometry.attributes.position.needsUpdate = true;
-        }
-    });
+    // Curve up between the desks
+    const startPos = new THREE.Vector3(fromPos.x, fromPos.y + 5, fromPos.z);
+    const endPos = new THREE.Vector3(toPos.x, toPos.y + 5, toPos.z);
+    const mid = new THREE.Vector3().addVectors(startPos, endPos).multiplyScalar(0.5);
+    mid.y += 2;
+    const curve = new THREE.QuadraticBezierCurve3(startPos, mid, endPos);
+    setLinePoints(connection.line, curve.getPoints(CONNECTION_SEGMENTS));
     
-    // Subtle glow pulse on lamps
-    glowLights.forEach((item, i) => {
-        const pulse = Math.sin(time * 1.5 + i) * 0.15 + 1;
-        item.light.intensity = item.baseIntensity * pulse;
+    connection.markers.forEach((marker, i) => {
+        const t = (i + 1) / (CONNECTION_MARKERS + 1);
+        marker.position.copy(curve.getPoint(t));
+        marker.quaternion.setFromUnitVectors(markerUp, curve.getTangent(t));
     });
-    
-    // Animate water ripples
-    if (waterMesh && waterMesh.userData.initialPositions) {
-        const positions = waterMesh.geometry.attributes.position;
-        const initialPositions = waterMesh.userData.initialPositions;
-        
-        for (let i = 0; i < positions.count; i++) {
-            const x = initialPositions[i * 3];
-            const y = initialPositions[i * 3 + 1];
-            
-            // Create gentle ripple effect
-            const distance = Math.sqrt(x * x + y * y);
-            const wave1 = Math.sin(distance * 0.3 - time * 0.8) * 0.15;
-            const wave2 = Math.sin(x * 0.2 + time * 0.5) * 0.1;
-            const wave3 = Math.cos(y * 0.15 + time * 0.3) * 0.08;
-            
-            positions.setZ(i, wave1 + wave2 + wave3);
-        }
-        positions.needsUpdate = true;
+}
+
+// Remove the connection lines whose keys aren't in `keep`
+function pruneConnections(keep) {
+    connections.forEach((connection, key) => {
+        if (keep.has(key)) return;
+        scene.remove(connection.line, ...connection.markers);
+        connection.line.geometry.dispose();
+        connections.delete(key);
+    });
+    connectionLines = Array.from(connections.values()).flatMap(c => [c.line, ...c.markers]);
+}
+
+// Dashed floor lines from a parent's desk to the sub-agents it spawned, with
+// one material per color shared by every tether
+const tetherMaterials = new Map(); // color -> material
+
+function tetherMaterial(color) {
+    if (!tetherMaterials.has(color)) {
+        tetherMaterials.set(color, new THREE.LineDashedMaterial({
+            color,
+            dashSize: 0.6,
+            gapSize: 0.4,
+            transparent: true,
+            opacity: 0.6
+        }));
     }
-    
-    controls.update();
-    
-    // Use composer for bloom effect if available, otherwise standard renderer
-    if (composer) {
-        composer.render();
-    } else {
-        renderer.render(scene, camera);
+    return tetherMaterials.get(color);
+}
+
+// Show the tether between a parent and a sub-agent, created once per pair
+// and only redrawn when either desk moves
+function setTetherLine(parent, child, parentPos, childPos) {
+    const key = `${parent}\n${child}`;
+    let tether = tethers.get(key);
+    if (!tether) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        tether = { line: new THREE.Line(geometry, tetherMaterial(getAgentColor(parent))), from: null, to: null };
+        scene.add(tether.line);
+        tethers.set(key, tether);
     }
+    if (tether.from?.equals(parentPos) && tether.to?.equals(childPos)) return;
+    tether.from = parentPos.clone();
+    tether.to = childPos.clone();
+    setLinePoints(tether.line, [
+        new THREE.Vector3(parentPos.x, PLATFORM_HEIGHT + 0.15, parentPos.z),
+        new THREE.Vector3(childPos.x, PLATFORM_HEIGHT + 0.15, childPos.z)
+    ]);
+    tether.line.computeLineDistances();
 }
 
-function onWindowResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
+// Remove the tethers whose keys aren't in `keep`
+function pruneTethers(keep) {
+    tethers.forEach((tether, key) => {
+        if (keep.has(key)) return;
+        scene.remove(tether.line);
+        tether.line.geometry.dispose();
+        tethers.delete(key);
+    });
+}
+
+// Colored ring on the floor around a desk showing the agent's agent_type.
+// The geometry and one material per color are shared by every desk.
+const typeRingGeometry = new THREE.RingGeometry(3.6, 4.1, 48);
+const typeRingMaterials = new Map(); // color -> material
+
+function updateDeskType(desk, agentType) {
+    const existing = desk.getObjectByName('type-ring');
+    if (existing?.userData.agentType === agentType) return;
+    if (existing) desk.remove(existing);
+    if (!agentType) return;
+    
+    const color = getAgentTypeColor(agentType);
+    if (!typeRingMaterials.has(color)) {
+        typeRingMaterials.set(color, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.55,
+            side: THREE.DoubleSide
+        }));
+    }
+    const ring = new THREE.Mesh(typeRingGeometry, typeRingMaterials.get(color));
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(0, 0.06, 1.6);
+    ring.name = 'type-ring';
+    ring.userData.agentType = agentType;
+    desk.add(ring);
+}
+
+// Pulsing floor ring marking desks with an active alert. All rings share one
+// material, so animate() pulses them together.
+const alertRingGeometry = new THREE.RingGeometry(4.3, 4.8, 48);
+const alertRingMaterial = new THREE.MeshBasicMaterial({
+    color: 0xff4d4d,
+    transparent: true,
+    opacity: 0.8,
+    side: THREE.DoubleSide
+});
+
+function updateDeskAlerts() {
+    const flagged = new Set(alerts.map(alert => alert.agent.toLowerCase()));
+    agentMeshes.forEach((desk, name) => {
+        const ring = desk.getObjectByName('alert-ring');
+        if (flagged.has(name) && !ring) {
+            const alertRing = new THREE.Mesh(alertRingGeometry, alertRingMaterial);
+            alertRing.rotation.x = -Math.PI / 2;
+            alertRing.position.set(0, 0.08, 1.6);
+            alertRing.name = 'alert-ring';
+            desk.add(alertRing);
+        } else if (!flagged.has(name) && ring) {
+            desk.remove(ring);
+        }
+    });
+}
+
+// Desk activity: what an agent's avatar is doing, from the tool it last used
+// (config.toolAnimations maps tool name patterns to animations) and whether
+// it has gone quiet for longer than config.sleepAfter seconds.
+let toolAnimationPatterns = []; // [RegExp, animation], first match wins
+
+function compileToolAnimations(mapping = {}) {
+    toolAnimationPatterns = Object.entries(mapping).map(([pattern, animation]) => [
+        new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i'),
+        animation
+    ]);
+}
+
+function toolAnimation(toolName) {
+    const match = toolAnimationPatterns.find(([pattern]) => pattern.test(toolName));
+    return match && match[1] !== 'none' ? match[1] : null;
+}
+
+// Props shown on a desk for each activity, sharing geometry and materials
+const activityMaterial = new THREE.MeshBasicMaterial({ color: 0x5eead4 });
+const spinnerGeometry = new THREE.TorusGeometry(0.45, 0.07, 8, 24, Math.PI * 1.5);
+const lensGeometry = new THREE.TorusGeometry(0.35, 0.07, 8, 24);
+const handleGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.5, 6);
+const sleepMaterial = new THREE.SpriteMaterial({ map: createSleepTexture(), transparent: true, depthWrite: false });
+
+function createSleepTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 56px Arial';
+    context.fillStyle = '#c4b5fd';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('z', 44, 84);
+    context.font = 'bold 40px Arial';
+    context.fillText('z', 84, 40);
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createActivityProp(activity) {
+    if (activity === 'running') {
+        // Spinner in front of the monitor
+        const spinner = new THREE.Mesh(spinnerGeometry, activityMaterial);
+        spinner.position.set(0, 4.0, 0.95);
+        return spinner;
+    }
+    if (activity === 'searching') {
+        // Magnifying glass hovering over the agent's head
+        const magnifier = new THREE.Group();
+        magnifier.add(new THREE.Mesh(lensGeometry, activityMaterial));
+        const handle = new THREE.Mesh(handleGeometry, activityMaterial);
+        handle.position.set(0.38, -0.38, 0);
+        handle.rotation.z = Math.PI / 4;
+        magnifier.add(handle);
+        magnifier.position.set(0, 5.2, 3.2);
+        return magnifier;
+    }
+    if (activity === 'asleep') {
+        const zzz = new THREE.Sprite(sleepMaterial);
+        zzz.scale.set(1.4, 1.4, 1);
+        zzz.position.set(0.6, 5.0, 3.2);
+        return zzz;
+    }
+    return null;
+}
+
+// Re-derive every desk's activity. Called on data changes, and periodically
+// so agents fall asleep without needing a new status row.
+function updateDeskActivities() {
+    const { statusStates } = villageState();
+    const now = replay ? replay.time : Date.now();
+    const sleepAfter = (config.sleepAfter ?? 0) * 1000;
+    
+    agentMeshes.forEach((desk, name) => {
+        const status = statusStates[name.toLowerCase()];
+        const asleep = !!status && sleepAfter > 0 && now - toMillis(status.timestamp) > sleepAfter;
+        const activity = status && !asleep ? toolAnimation(status.tool_name) : null;
+        if (desk.userData.activity === activity && desk.userData.asleep === asleep) return;
+        
+        desk.userData.activity = activity;
+        desk.userData.asleep = asleep;
+        const previous = desk.getObjectByName('activity');
+        if (previous) desk.remove(previous);
+        const prop = createActivityProp(asleep ? 'asleep' : activity);
+        if (prop) {
+            prop.name = 'activity';
+            desk.add(prop);
+        }
+        const label = desk.getObjectByName('label');
+        if (label) label.material.opacity = asleep ? 0.5 : 1;
+        writeDeskInstances(desk);
+    });
+}
+
+// Per-frame motion for the activity props and typing arms
+function animateDeskActivities(time) {
+    const armParts = deskParts ? deskParts.filter(part => part.pose) : [];
+    agentMeshes.forEach(desk => {
+        const prop = desk.getObjectByName('activity');
+        if (prop) {
+            if (desk.userData.asleep) {
+                prop.position.y = 5.0 + Math.sin(time * 1.5) * 0.2;
+            } else if (desk.userData.activity === 'running') {
+                prop.rotation.z = -time * 5;
+            } else if (desk.userData.activity === 'searching') {
+                prop.position.x = Math.sin(time * 2) * 0.5;
+                prop.rotation.y = Math.sin(time * 2) * 0.4;
+            }
+        }
+        if (desk.userData.activity === 'typing') writeDeskInstances(desk, armParts);
+    });
+}
+
+// Parent of an agent if it's also in the village, ignoring a parent link that
+// leads back to the agent. A loop further up doesn't involve this link.
+function villageParent(agent, agentSet) {
+    const { coworkers } = villageState();
+    const parent = coworkers.get(agent)?.parent;
+    if (!parent || !agentSet.has(parent)) return null;
+    const seen = new Set();
+    for (let p = parent; p && !seen.has(p); p = coworkers.get(p)?.parent) {
+        if (p === agent) return null;
+        seen.add(p);
+    }
+    return parent;
+}
+
+// Village layout modes (chosen in the layout menu, remembered in localStorage)
+const LAYOUT_MODES = ['clusters', 'rings', 'grid', 'talk'];
+let layoutMode = LAYOUT_MODES.includes(localStorage.getItem('watercooler.layout'))
+    ? localStorage.getItem('watercooler.layout')
+    : 'clusters';
+
+// Center-to-center distance that keeps neighbouring desks and chairs apart
+const DESK_SPACING = 8;
+
+// Split agents into spawn trees: roots (no parent in the village) and parent -> children
+function spawnForest(agents) {
+    const agentSet = new Set(agents);
+    const roots = [];
+    const children = new Map();
+    agents.forEach(agent => {
+        const parent = villageParent(agent, agentSet);
+        if (parent) {
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(agent);
+        } else {
+            roots.push(agent);
+        }
+    });
+    return { roots, children };
+}
+
+// A spawn tree's members, breadth first so direct sub-agents come first
+function treeMembers(root, children) {
+    const members = [root];
+    for (let i = 0; i < members.length; i++) {
+        members.push(...(children.get(members[i]) || []));
+    }
+    return members;
+}
+
+// Teams: each spawn tree with sub-agents, then lone agents grouped by agent_type
+function villageTeams(forest) {
+    const { coworkers } = villageState();
+    const teams = [];
+    const loners = new Map();
+    forest.roots.forEach(root => {
+        if (forest.children.has(root)) {
+            teams.push(treeMembers(root, forest.children));
+        } else {
+            const agentType = coworkers.get(root)?.agent_type || '';
+            if (!loners.has(agentType)) loners.set(agentType, []);
+            loners.get(agentType).push(root);
+        }
+    });
+    loners.forEach(members => teams.push(members));
+    return teams;
+}
+
+// Points for `count` desks on concentric rings around the origin, filling the
+// innermost ring first. Also returns the outermost radius used.
+function ringPositions(count, firstRadius) {
+    const points = [];
+    let radius = firstRadius;
+    while (points.length < count) {
+        const capacity = Math.max(1, Math.floor((2 * Math.PI * radius) / DESK_SPACING));
+        const n = Math.min(capacity, count - points.length);
+        for (let i = 0; i < n; i++) {
+            const angle = (i / n) * Math.PI * 2 - Math.PI / 2;
+            points.push(new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius));
+        }
+        if (points.length < count) radius += DESK_SPACING;
+    }
+    return { points, radius: count > 0 ? radius : 0 };
+}
+
+// Everyone on concentric rings facing the center, sub-agents next to their parent.
+// Up to 15 agents this is the original single circle.
+function layoutRings(agents, forest) {
+    const ordered = villageTeams(forest).flat();
+    const firstRadius = ordered.length <= 15 ? Math.min(20, Math.max(10, ordered.length * 3)) : 12;
+    const { points } = ringPositions(ordered.length, firstRadius);
+    const center = new THREE.Vector3(0, 0, 0);
+    return new Map(ordered.map((agent, i) => [agent, { position: points[i], facing: center }]));
+}
+
+// Rows of desks all facing the same way, one team after another
+function layoutGrid(agents, forest) {
+    const ordered = villageTeams(forest).flat();
+    const columns = Math.ceil(Math.sqrt(ordered.length));
+    const rows = Math.ceil(ordered.length / columns);
+    const rowSpacing = DESK_SPACING + 1;
+    const layout = new Map();
+    ordered.forEach((agent, i) => {
+        const x = (i % columns - (columns - 1) / 2) * DESK_SPACING;
+        const z = (Math.floor(i / columns) - (rows - 1) / 2) * rowSpacing;
+        layout.set(agent, {
+            position: new THREE.Vector3(x, 0, z),
+            facing: new THREE.Vector3(x, 0, z + 1)
+        });
+    });
+    return layout;
+}
+
+// One cluster per team: its lead in the middle facing the village center,
+// the rest on rings around and facing it. The biggest team sits in the
+// middle of the village and the others on a ring around it.
+function layoutClusters(agents, forest) {
+    const clusters = villageTeams(forest).map(members => {
+        const { points, radius } = ringPositions(members.length - 1, DESK_SPACING);
+        return { members, points, radius: radius + DESK_SPACING / 2 };
+    });
+    clusters.sort((a, b) => b.members.length - a.members.length);
+    
+    const [middle, ...others] = clusters;
+    const gap = DESK_SPACING;
+    const centers = [new THREE.Vector3(0, 0, 0)];
+    if (others.length > 0) {
+        const widest = Math.max(...others.map(c => c.radius));
+        const circumference = others.reduce((sum, c) => sum + 2 * c.radius + gap, 0);
+        // A lone middle team of one desk still leaves room for the hologram
+        const ringRadius = Math.max(middle.radius + widest + gap, circumference / (2 * Math.PI), 12);
+        let angle = -Math.PI / 2;
+        others.forEach(cluster => {
+            const share = ((2 * cluster.radius + gap) / circumference) * Math.PI * 2;
+            angle += share / 2;
+            centers.push(new THREE.Vector3(Math.cos(angle) * ringRadius, 0, Math.sin(angle) * ringRadius));
+            angle += share / 2;
+        });
+    }
+    
+    const layout = new Map();
+    const villageCenter = new THREE.Vector3(0, 0, 0);
+    clusters.forEach((cluster, i) => {
+        const center = centers[i];
+        const [lead, ...rest] = cluster.members;
+        layout.set(lead, { position: center, facing: villageCenter });
+        rest.forEach((agent, j) => {
+            layout.set(agent, { position: cluster.points[j].clone().add(center), facing: center });
+        });
+    });
+    return layout;
+}
+
+// "Who talks to whom": desks are pulled together by how often their agents
+// message each other and pushed apart otherwise, so quiet agents drift
+// outward. Each run starts from the previous result, so new messages nudge
+// the village instead of reshuffling it. The simulation is O(n²) per step,
+// so it only runs again when the agents or the message counts between them
+// change; otherwise the last layout is reused.
+let talkPositions = new Map(); // name -> position from the last run
+let talkCache = null; // { key, layout } of the last run
+
+function layoutTalk(agents) {
+    const n = agents.length;
+    const index = new Map(agents.map((agent, i) => [agent, i]));
+    
+    // Messages per pair, in either direction
+    const counts = new Map();
+    villageState().messages.forEach(msg => {
+        const a = index.get(msg.sender.toLowerCase());
+        const b = index.get(msg.recipient.toLowerCase());
+        if (a === undefined || b === undefined || a === b) return;
+        const key = Math.min(a, b) * n + Math.max(a, b);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    
+    const cacheKey = `${agents.join('\n')}\n${Array.from(counts).sort((p, q) => p[0] - q[0]).join(';')}`;
+    if (talkCache?.key === cacheKey) {
+        // Copies, since layoutVillage adds each entry's parent
+        return new Map(Array.from(talkCache.layout, ([agent, entry]) => [agent, { ...entry }]));
+    }
+    
+    const edges = Array.from(counts, ([key, count]) => ({
+        a: Math.floor(key / n),
+        b: key % n,
+        strength: Math.log2(1 + count)
+    }));
+    const degree = new Array(n).fill(0);
+    edges.forEach(({ a, b, strength }) => {
+        degree[a] += strength;
+        degree[b] += strength;
+    });
+    
+    // Seed from the last run; newcomers start on the rings layout
+    const { points } = ringPositions(n, Math.min(20, Math.max(10, n * 3)));
+    const x = new Float64Array(n);
+    const z = new Float64Array(n);
+    let seeded = 0;
+    agents.forEach((agent, i) => {
+        const previous = talkPositions.get(agent);
+        if (previous) seeded++;
+        x[i] = previous ? previous.x : points[i].x;
+        z[i] = previous ? previous.z : points[i].z;
+    });
+    
+    const ideal = DESK_SPACING * 1.5;
+    const iterations = seeded === n ? 60 : 300;
+    let temperature = seeded === n ? DESK_SPACING / 2 : DESK_SPACING * 3;
+    const cooling = Math.pow(0.02, 1 / iterations);
+    const dx = new Float64Array(n);
+    const dz = new Float64Array(n);
+    
+    for (let step = 0; step < iterations; step++) {
+        dx.fill(0);
+        dz.fill(0);
+        // Nearby desks repel (only nearby, so big villages stay compact)
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                let ox = x[i] - x[j];
+                let oz = z[i] - z[j];
+                let d = Math.hypot(ox, oz);
+                if (d > ideal * 3) continue;
+                if (d < 0.01) {
+                    // Coincident desks: split them along a fixed direction
+                    ox = (i - j) * 0.01;
+                    oz = 0.01;
+                    d = Math.hypot(ox, oz);
+                }
+                const force = (ideal * ideal) / d;
+                dx[i] += (ox / d) * force;
+                dz[i] += (oz / d) * force;
+                dx[j] -= (ox / d) * force;
+                dz[j] -= (oz / d) * force;
+            }
+        }
+        // Agents that talk attract, more so the more they talk
+        edges.forEach(({ a, b, strength }) => {
+            const ox = x[a] - x[b];
+            const oz = z[a] - z[b];
+            const d = Math.hypot(ox, oz) || 0.01;
+            const force = ((d * d) / ideal) * strength;
+            dx[a] -= (ox / d) * force;
+            dz[a] -= (oz / d) * force;
+            dx[b] += (ox / d) * force;
+            dz[b] += (oz / d) * force;
+        });
+        // Gravity keeps the village together; it is weak for quiet agents
+        for (let i = 0; i < n; i++) {
+            const pull = degree[i] > 0 ? 0.2 : 0.1;
+            dx[i] -= x[i] * pull;
+            dz[i] -= z[i] * pull;
+            
+            const d = Math.hypot(dx[i], dz[i]);
+            if (d > 0) {
+                const move = Math.min(d, temperature);
+                x[i] += (dx[i] / d) * move;
+                z[i] += (dz[i] / d) * move;
+            }
+        }
+        temperature *= cooling;
+    }
+    
+    // Push apart any desks still closer than the desk spacing
+    for (let pass = 0; pass < 20; pass++) {
+        let moved = false;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const ox = x[i] - x[j];
+                const oz = z[i] - z[j];
+                const d = Math.hypot(ox, oz) || 0.01;
+                if (d >= DESK_SPACING) continue;
+                const push = (DESK_SPACING - d) / 2;
+                x[i] += (ox / d) * push;
+                z[i] += (oz / d) * push;
+                x[j] -= (ox / d) * push;
+                z[j] -= (oz / d) * push;
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+    
+    talkPositions = new Map(agents.map((agent, i) => [agent, new THREE.Vector3(x[i], 0, z[i])]));
+    
+    // Face the agents each one talks to most, or the center if nobody
+    const facingX = new Float64Array(n);
+    const facingZ = new Float64Array(n);
+    edges.forEach(({ a, b, strength }) => {
+        facingX[a] += x[b] * strength;
+        facingZ[a] += z[b] * strength;
+        facingX[b] += x[a] * strength;
+        facingZ[b] += z[a] * strength;
+    });
+    const center = new THREE.Vector3(0, 0, 0);
+    const layout = new Map(agents.map((agent, i) => [agent, {
+        position: talkPositions.get(agent),
+        facing: degree[i] > 0 ? new THREE.Vector3(facingX[i] / degree[i], 0, facingZ[i] / degree[i]) : center
+    }]));
+    talkCache = { key: cacheKey, layout };
+    return new Map(Array.from(layout, ([agent, entry]) => [agent, { ...entry }]));
+}
+
+// Desk positions for the current layout mode: name -> { position, facing, parent }
+function layoutVillage(agents) {
+    const forest = spawnForest(agents);
+    const layouts = { clusters: layoutClusters, rings: layoutRings, grid: layoutGrid, talk: layoutTalk };
+    const layout = layouts[layoutMode](agents, forest);
+    forest.children.forEach((kids, parent) => {
+        kids.forEach(kid => { layout.get(kid).parent = parent; });
+    });
+    return layout;
+}
+
+window.setLayoutMode = function(mode) {
+    if (!LAYOUT_MODES.includes(mode)) return;
+    layoutMode = mode;
+    localStorage.setItem('watercooler.layout', mode);
+    updateVillage();
+};
+
+// Timeline replay: the village steps through the history /api/timeline
+// returns instead of showing the present. Desks appear when their coworker
+// was created, messages fly in timestamp order and tool labels follow the
+// status rows. Live updates keep arriving underneath and show on exit.
+const REPLAY_TICK_MS = 250;
+
+// Status and coworker DBs written by other tools may store seconds
+function toMillis(time) {
+    return time != null && time < 1e12 ? time * 1000 : time;
+}
+
+// The village as it was at `time`
+function replayFrame(data, time) {
+    const coworkers = new Map(data.coworkers
+        .filter(c => c.created_at == null || toMillis(c.created_at) <= time)
+        .map(c => [c.name, c]));
+    
+    let count = 0;
+    while (count < data.messages.length && data.messages[count].timestamp <= time) count++;
+    
+    const statusStates = {};
+    data.status.forEach(row => {
+        if (toMillis(row.timestamp) <= time) {
+            statusStates[row.name] = { tool_name: row.tool_name, timestamp: row.timestamp };
+        }
+    });
+    
+    // Messages with a read_at show as unread until then; older rows only have the flag
+    const messages = data.messages.slice(0, count).reverse().map(m =>
+        m.read_at != null ? { ...m, read: m.read_at <= time ? 1 : 0 } : m
+    );
+    
+    return {
+        agents: Array.from(coworkers.keys()),
+        coworkers,
+        messages, // newest first, like allMessages
+        statusStates
+    };
+}
+
+async function fetchTimeline(from) {
+    const res = await fetch(`/api/timeline?${new URLSearchParams({ from })}`);
+    if (!res.ok) throw new Error(await responseError(res));
+    return res.json();
+}
+
+// Start and end a replay where the window's history actually begins and ends
+function loadReplayData(data) {
+    const firstEvents = [
+        data.messages[0]?.timestamp,
+        data.status[0] && toMillis(data.status[0].timestamp),
+        ...data.coworkers.map(c => toMillis(c.created_at))
+    ].filter(t => t != null && t >= data.from);
+    
+    replay.data = data;
+    replay.start = firstEvents.length ? Math.min(...firstEvents) : data.from;
+    replay.end = data.truncated ? data.messages[data.messages.length - 1].timestamp : data.to;
+    
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.min = replay.start;
+    scrubber.max = replay.end;
+}
+
+// Move the replay to `time`. Playing forward flies the messages sent since
+// the last step; scrubbing and jumping just redraw.
+function setReplayTime(time, playing = false) {
+    const shown = replay.frame.messages.length;
+    replay.time = Math.min(Math.max(time, replay.start), replay.end);
+    replay.frame = replayFrame(replay.data, replay.time);
+    const sent = replay.frame.messages.length - shown;
+    replay.arrivals = playing && sent > 0 ? replay.frame.messages.slice(0, sent).reverse() : [];
+    updateReplayControls();
+    updateVillage();
+}
+
+function updateReplayControls() {
+    document.getElementById('replay-scrubber').value = replay.time;
+    document.getElementById('replay-time').textContent = new Date(replay.time).toLocaleString();
+    document.getElementById('replay-play').textContent = replay.timer ? '⏸' : '▶';
+    const jump = document.getElementById('replay-jump');
+    if (document.activeElement !== jump) jump.value = toLocalInputValue(replay.time);
+}
+
+// `datetime-local` inputs want local time without a zone
+function toLocalInputValue(time) {
+    const date = new Date(time);
+    return new Date(time - date.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+}
+
+function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    updateReplayControls();
+}
+
+window.toggleReplay = async function() {
+    if (replay) {
+        clearInterval(replay.timer);
+        replay = null;
+        document.body.classList.remove('replaying');
+        updateVillage();
+        return;
+    }
+    
+    try {
+        const data = await fetchTimeline(Date.now() - 24 * 60 * 60 * 1000);
+        replay = { speed: Number(document.getElementById('replay-speed').value), timer: null, arrivals: [] };
+        loadReplayData(data);
+        replay.frame = replayFrame(data, replay.start);
+        document.body.classList.add('replaying');
+        setReplayTime(replay.start);
+    } catch (err) {
+        console.error('Error loading timeline:', err);
+        alert(`Failed to load the timeline: ${err.message}`);
+    }
+};
+
+window.toggleReplayPlayback = function() {
+    if (!replay) return;
+    if (replay.timer) {
+        pauseReplay();
+        return;
+    }
+    if (replay.time >= replay.end) setReplayTime(replay.start);
+    replay.timer = setInterval(() => {
+        setReplayTime(replay.time + REPLAY_TICK_MS * replay.speed, true);
+        if (replay.time >= replay.end) pauseReplay();
+    }, REPLAY_TICK_MS);
+    updateReplayControls();
+};
+
+window.setReplaySpeed = function(speed) {
+    if (replay) replay.speed = Number(speed);
+};
+
+window.scrubReplay = function(value) {
+    if (replay) setReplayTime(Number(value));
+};
+
+// Jump to a typed time, fetching older history if it's before the window
+window.jumpReplay = async function(value) {
+    const time = new Date(value).getTime();
+    if (!replay || isNaN(time)) return;
+    if (time < replay.data.from) {
+        try {
+            loadReplayData(await fetchTimeline(time));
+        } catch (err) {
+            console.error('Error loading timeline:', err);
+            alert(`Failed to load the timeline: ${err.message}`);
+            return;
+        }
+    }
+    setReplayTime(time);
+};
+
+// Where a desk is headed (or is, once it has arrived)
+function deskPosition(desk) {
+    return desk.userData.targetPosition || desk.position;
+}
+
+// Rotation of a desk at `position` facing `target`
+const facingHelper = new THREE.Object3D();
+function facingQuaternion(position, target) {
+    facingHelper.position.set(position.x, PLATFORM_HEIGHT, position.z);
+    facingHelper.lookAt(target.x, PLATFORM_HEIGHT, target.z);
+    return facingHelper.quaternion.clone();
+}
+
+// What the village shows: the live data, or the frame a replay has reached
+function villageState() {
+    if (replay) return replay.frame;
+    return { agents: recipients, coworkers, messages: allMessages, statusStates };
+}
+
+function updateVillage() {
+    const { agents: coworkerNames, coworkers, messages } = villageState();
+    
+    // Use recipients (from coworkers.db) as the authoritative list of agents
+    // Only show people in the coworker list, not random message senders
+    const allAgents = new Set([config.user.toLowerCase(), ...coworkerNames.map(r => r.toLowerCase())]);
+    
+    const agents = Array.from(allAgents);
+    const layout = layoutVillage(agents);
+    
+    // Grow the platform to fit the layout, with room around the outermost desks
+    let extent = 0;
+    layout.forEach(({ position }) => {
+        extent = Math.max(extent, Math.abs(position.x), Math.abs(position.z));
+    });
+    resizePlatform(2 * (extent + DESK_SPACING));
+    
+    const tetherKeys = new Set();
+    agents.forEach(agent => {
+        const { position, facing, parent } = layout.get(agent);
+        
+        // A desk sitting on the point it should face just faces forward
+        const lookTarget = facing.distanceTo(position) > 0.01 ? facing : position.clone().setZ(position.z + 1);
+        
+        let desk = agentMeshes.get(agent);
+        if (!desk) {
+            desk = createAgentDesk(agent, position);
+            desk.lookAt(new THREE.Vector3(lookTarget.x, PLATFORM_HEIGHT, lookTarget.z));
+            writeDeskInstances(desk);
+        }
+        // Existing desks glide there in animate()
+        desk.userData.targetPosition = new THREE.Vector3(position.x, PLATFORM_HEIGHT, position.z);
+        desk.userData.targetQuaternion = facingQuaternion(desk.userData.targetPosition, lookTarget);
+        updateDeskType(desk, coworkers.get(agent)?.agent_type || null);
+        
+        if (parent) {
+            setTetherLine(parent, agent, layout.get(parent).position, position);
+            tetherKeys.add(`${parent}\n${agent}`);
+        }
+    });
+    pruneTethers(tetherKeys);
+    
+    // Remove desks for coworkers that no longer exist
+    Array.from(agentMeshes.keys())
+        .filter(name => !allAgents.has(name))
+        .forEach(removeAgentDesk);
+    
+    // One persistent line per conversation that still has unread messages
+    const unreadPairs = new Map(); // "sender\nrecipient" -> [sender, recipient]
+    messages.forEach(msg => {
+        if (msg.read) return;
+        const pair = [msg.sender.toLowerCase(), msg.recipient.toLowerCase()];
+        unreadPairs.set(pair.join('\n'), pair);
+    });
+    const connectionKeys = new Set();
+    unreadPairs.forEach(([sender, recipient], key) => {
+        const fromDesk = agentMeshes.get(sender);
+        const toDesk = agentMeshes.get(recipient);
+        
+        if (fromDesk && toDesk && fromDesk !== toDesk) {
+            setConnectionLine(deskPosition(fromDesk), deskPosition(toDesk), [sender, recipient]);
+            connectionKeys.add(key);
+        }
+    });
+    pruneConnections(connectionKeys);
+    
+    // Newly arrived messages fly from sender to recipient; during a replay,
+    // the ones sent since the previous playback step
+    if (replay) {
+        flyMessages(replay.arrivals);
+        replay.arrivals = [];
+    } else {
+        animateMessageArrivals();
+    }
+    
+    // Update desk labels with unread indicators
+    updateDeskLabels();
+    updateDeskActivities();
+    updateDeskAlerts();
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    
+    const time = Date.now() * 0.001;
+    
+    // Rotate holographic sphere
+    if (holoSphere) {
+        holoSphere.rotation.y = time * 0.15;
+        holoSphere.rotation.x = Math.sin(time * 0.1) * 0.1;
+    }
+    
+    // Animate floating particles
+    floatingParticles.forEach((particles, index) => {
+        const positions = particles.geometry.attributes.position.array;
+        
+        if (particles.userData.twinklePhase !== undefined) {
+            // Star twinkling effect
+            const twinkle = Math.sin(time * 2 + particles.userData.twinklePhase) * 0.3 + 0.7;
+            particles.material.opacity = 0.4 + twinkle * 0.4;
+            
+            // Slowly rotate stars
+            particles.rotation.y = time * 0.02;
+        } else {
+            // Regular floating particles
+            for (let i = 0; i < positions.length; i += 3) {
+                positions[i + 1] += Math.sin(time + positions[i] * 0.1) * 0.003;
+            }
+            particles.geometry.attributes.position.needsUpdate = true;
+        }
+    });
+    
+    // Subtle glow pulse on lamps
+    glowLights.forEach((item, i) => {
+        const pulse = Math.sin(time * 1.5 + i) * 0.15 + 1;
+        item.light.intensity = item.baseIntensity * pulse;
+    });
+    
+    // Glide desks toward their layout positions, snapping once they are close
+    agentMeshes.forEach(desk => {
+        const { targetPosition, targetQuaternion } = desk.userData;
+        if (!targetPosition) return;
+        if (desk.position.distanceToSquared(targetPosition) < 0.0001 && desk.quaternion.angleTo(targetQuaternion) < 0.001) {
+            if (!desk.position.equals(targetPosition)) {
+                desk.position.copy(targetPosition);
+                desk.quaternion.copy(targetQuaternion);
+                writeDeskInstances(desk);
+            }
+            return;
+        }
+        desk.position.lerp(targetPosition, 0.08);
+        desk.quaternion.slerp(targetQuaternion, 0.08);
+        writeDeskInstances(desk);
+    });
+    
+    // Typing hands, spinners, magnifiers and sleeping agents
+    animateDeskActivities(time);
+    alertRingMaterial.opacity = 0.45 + Math.sin(time * 4) * 0.35;
+    
+    // Animate water ripples. Seconds since page load rather than `time`,
+    // which is too large to keep its precision as a shader float.
+    waterUniforms.uTime.value = performance.now() * 0.001;
+    
+    controls.update();
+    
+    // Use composer for bloom effect if available, otherwise standard renderer
+    if (composer) {
+        composer.render();
+    } else {
+        renderer.render(scene, camera);
+    }
+}
+
+// Where the camera was before flying to a desk, so closing the dialog can return
+let cameraReturn = null;
+
+// Smoothly move the orbit target to `target`, keeping the viewing direction
+function flyCameraTo(target, distance, duration = 1000) {
+    const startTarget = controls.target.clone();
+    const startPos = camera.position.clone();
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target);
+    const endPos = target.clone().add(offset.setLength(distance));
+    const startTime = Date.now();
+    
+    function step() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        controls.target.lerpVectors(startTarget, target, eased);
+        camera.position.lerpVectors(startPos, endPos, eased);
+        if (progress < 1) requestAnimationFrame(step);
+    }
+    step();
+}
+
+// Fly the camera to an agent's desk, remembering the current view
+function flyToDesk(agentName) {
+    const desk = agentMeshes.get(agentName.toLowerCase());
+    if (!desk) return;
+    if (!cameraReturn) {
+        cameraReturn = {
+            target: controls.target.clone(),
+            distance: camera.position.distanceTo(controls.target)
+        };
+    }
+    const position = deskPosition(desk);
+    flyCameraTo(new THREE.Vector3(position.x, PLATFORM_HEIGHT + 3, position.z), 30);
+}
+
+function onWindowResize() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
     renderer.setSize(width, height);
     
     // Resize composer for bloom effect
@@ -1139,35 +1990,176 @@ function onWindowResize() {
 }
 
 // API and UI Functions
+const PAGE_SIZE = 100;
+
+// Fetch one page of messages (from /api/messages/all by default) with the given query params
+async function fetchMessagePage(params, endpoint = '/api/messages/all') {
+    const res = await fetch(`${endpoint}?${new URLSearchParams(params)}`);
+    const rows = await res.json();
+    return {
+        rows: Array.isArray(rows) ? rows : [],
+        total: parseInt(res.headers.get('X-Total-Count') || '0', 10)
+    };
+}
+
+// Fetch every message matching the filters, a page at a time
+async function fetchAllMessages(filters) {
+    let rows = [];
+    let page;
+    do {
+        const params = { ...filters, limit: PAGE_SIZE };
+        if (rows.length > 0) params.before = rows[rows.length - 1].id;
+        page = await fetchMessagePage(params);
+        rows = rows.concat(page.rows);
+    } while (page.rows.length === PAGE_SIZE);
+    return rows;
+}
+
+// Merge rows into a newest-first list, replacing any with the same id
+function mergeMessages(list, rows) {
+    const ids = new Set(rows.map(m => m.id));
+    return list.filter(m => !ids.has(m.id)).concat(rows).sort((a, b) => b.id - a.id);
+}
+
+// A lazily loaded, newest-first list of the messages matching `filters`.
+// `endpoint` and `matches` override where pages come from and which live rows belong.
+function createMessagePager(filters, { endpoint, matches = (m) => matchesFilters(m, filters) } = {}) {
+    return { filters, endpoint, matches, rows: [], total: 0, hasMore: true, loading: false };
+}
+
+function matchesFilters(msg, filters) {
+    return Object.entries(filters).every(([key, value]) =>
+        String(msg[key]).toLowerCase() === String(value).toLowerCase()
+    );
+}
+
+// Re-fetch the newest page, keeping older loaded pages when they still join up
+async function refreshPager(pager) {
+    const { rows, total } = await fetchMessagePage({ ...pager.filters, limit: PAGE_SIZE }, pager.endpoint);
+    const oldestId = rows.length > 0 ? rows[rows.length - 1].id : 0;
+    const complete = rows.length < PAGE_SIZE;
+    const joined = pager.rows.some(m => m.id >= oldestId);
+    
+    pager.rows = complete || !joined ? rows : rows.concat(pager.rows.filter(m => m.id < oldestId));
+    pager.hasMore = complete ? false : joined ? pager.hasMore : true;
+    pager.total = total;
+}
+
+// Load the next older page into a pager
+async function loadOlderMessages(pager) {
+    if (pager.loading || !pager.hasMore) return;
+    pager.loading = true;
+    try {
+        const params = { ...pager.filters, limit: PAGE_SIZE };
+        if (pager.rows.length > 0) params.before = pager.rows[pager.rows.length - 1].id;
+        const { rows, total } = await fetchMessagePage(params, pager.endpoint);
+        pager.rows = mergeMessages(pager.rows, rows);
+        pager.total = total;
+        pager.hasMore = rows.length === PAGE_SIZE;
+    } finally {
+        pager.loading = false;
+    }
+}
+
+// Apply a live delta to a pager: matching rows newer than the loaded window's
+// oldest row are added, loaded rows are updated or dropped
+function applyToPager(pager, upserted, removed) {
+    const loaded = new Set(pager.rows.map(m => m.id));
+    const oldestId = pager.rows.length > 0 ? pager.rows[pager.rows.length - 1].id : 0;
+    const inWindow = (m) => loaded.has(m.id) || !pager.hasMore || m.id > oldestId;
+    
+    const matching = upserted.filter(m => pager.matches(m) && inWindow(m));
+    const dropped = new Set([
+        ...removed,
+        ...upserted.filter(m => !pager.matches(m)).map(m => m.id)
+    ]);
+    
+    pager.total += matching.filter(m => !loaded.has(m.id)).length;
+    pager.total -= Array.from(dropped).filter(id => loaded.has(id)).length;
+    pager.rows = mergeMessages(pager.rows.filter(m => !dropped.has(m.id)), matching);
+}
+
+// Load the next page when a list is scrolled near its end. Pagers flagged
+// `oldestFirst` render chat-style, so their older pages load at the top.
+function onScrollLoadMore(container, getPager, render) {
+    container.addEventListener('scroll', async () => {
+        const pager = getPager();
+        if (!pager || !pager.hasMore || pager.loading) return;
+        if (pager.oldestFirst) {
+            if (container.scrollTop > 200) return;
+        } else if (container.scrollTop + container.clientHeight < container.scrollHeight - 200) {
+            return;
+        }
+        
+        await loadOlderMessages(pager);
+        const previousHeight = container.scrollHeight;
+        render();
+        
+        // Keep the visible messages in place when older ones are prepended
+        if (pager.oldestFirst) {
+            container.scrollTop += container.scrollHeight - previousHeight;
+        }
+    });
+}
+
 async function loadData() {
     try {
-        const [configRes, messagesRes, coworkersRes, allMessagesRes] = await Promise.all([
+        const [configRes, coworkersRes] = await Promise.all([
             fetch('/api/config'),
-            fetch('/api/messages'),
-            fetch('/api/coworkers'),
-            fetch('/api/messages/all')
+            fetch('/api/coworkers')
         ]);
         
+        // Session expired or never logged in
+        if (configRes.status === 401) {
+            window.location.href = '/login.html';
+            return;
+        }
+        
         config = await configRes.json();
-        const messagesData = await messagesRes.json();
-        const recipientsData = await coworkersRes.json();
-        const allMessagesData = await allMessagesRes.json();
+        compileToolAnimations(config.toolAnimations);
+        const coworkersData = await coworkersRes.json();
+        
+        // Read-only viewers get no send panel, quick replies or read marking
+        document.body.classList.toggle('readonly', config.role === 'readonly');
+        document.getElementById('logout-btn').style.display = config.auth ? '' : 'none';
         
         // Validate responses are arrays (not error objects)
-        messages = Array.isArray(messagesData) ? messagesData : [];
-        recipients = Array.isArray(recipientsData) ? recipientsData : [];
-        allMessages = Array.isArray(allMessagesData) ? allMessagesData : [];
+        setCoworkers(Array.isArray(coworkersData) ? coworkersData : []);
+        
+        // Recent traffic plus every unread message (the village draws a line per unread message)
+        const [recent, unread] = await Promise.all([
+            fetchMessagePage({ limit: PAGE_SIZE }),
+            fetchAllMessages({ read: 0 })
+        ]);
+        allMessages = mergeMessages(recent.rows, unread);
+        
+        if (!mailPager) mailPager = createMailPager();
+        await Promise.all([mailPager, ...Object.values(deskPagers), dialogView?.pager].filter(Boolean).map(refreshPager));
         
         // Load status states if status DB is configured
         if (config.status) {
             try {
-                const statusRes = await fetch('/api/status');
+                const [statusRes, historyRes] = await Promise.all([
+                    fetch('/api/status'),
+                    fetch(`/api/status/history?limit=${ACTIVITY_FEED_SIZE}`)
+                ]);
                 statusStates = await statusRes.json();
+                const history = await historyRes.json();
+                toolHistory = Array.isArray(history) ? history : [];
             } catch (err) {
                 console.error('Error loading status states:', err);
                 statusStates = {};
             }
         }
+        document.body.classList.toggle('has-status', !!config.status);
+        renderActivityFeed();
+        
+        try {
+            const alertsRes = await fetch('/api/alerts');
+            applyAlerts({ alerts: await alertsRes.json() });
+        } catch (err) {
+            console.error('Error loading alerts:', err);
+        }
         
         updateUI();
         updateVillage();
@@ -1176,6 +2168,170 @@ async function loadData() {
     }
 }
 
+// Apply a message delta pushed by /api/events
+function applyMessageChanges({ upserted, removed }) {
+    const removedIds = new Set(removed);
+    allMessages = mergeMessages(allMessages.filter(m => !removedIds.has(m.id)), upserted);
+    
+    [mailPager, ...Object.values(deskPagers), dialogView?.pager].forEach(pager => {
+        if (pager) applyToPager(pager, upserted, removed);
+    });
+    
+    if (dialogView?.type === 'thread') {
+        const threadIds = new Set(dialogView.messages.map(m => m.id));
+        if (upserted.some(m => threadIds.has(m.id) || threadIds.has(m.reply_to)) || removed.some(id => threadIds.has(id))) {
+            refreshThread();
+        }
+    }
+}
+
+function setCoworkers(records) {
+    coworkers = new Map(records.map(c => [c.name, c]));
+    recipients = Array.from(coworkers.keys());
+}
+
+// Apply a coworker delta pushed by /api/events
+function applyCoworkerChanges({ upserted, removed }) {
+    removed.forEach(name => coworkers.delete(name));
+    upserted.forEach(c => coworkers.set(c.name, c));
+    recipients = Array.from(coworkers.keys());
+}
+
+// Apply a status delta pushed by /api/events
+function applyStatusChanges({ changed, removed }) {
+    removed.forEach(name => delete statusStates[name]);
+    Object.assign(statusStates, changed);
+    
+    // Each change is a new tool usage for the feed and any open agent timeline
+    const usages = Object.entries(changed).map(([name, state]) => ({ name, ...state }));
+    toolHistory = usages.concat(toolHistory)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, ACTIVITY_FEED_SIZE);
+    renderActivityFeed();
+    
+    if (deskActivity) {
+        const mine = usages.filter(u => u.name.toLowerCase() === deskActivity.name);
+        if (mine.length) {
+            deskActivity.rows = mine.concat(deskActivity.rows).sort((a, b) => b.timestamp - a.timestamp);
+            if (currentTab === 'activity' && !dialogView) updateDeskDialogContent();
+        }
+    }
+}
+
+// Apply the alert list pushed by /api/events
+function applyAlerts({ alerts: raised }) {
+    alerts = Array.isArray(raised) ? raised : [];
+    // Forget dismissals of alerts that have cleared, so a recurrence shows again
+    const active = new Set(alerts.map(alert => alert.id));
+    dismissedAlerts.forEach(id => { if (!active.has(id)) dismissedAlerts.delete(id); });
+    renderAlertBanner();
+}
+
+const ALERT_ICONS = { stalled: '⏳', unanswered: '❓', loop: '🔁' };
+
+function renderAlertBanner() {
+    const banner = document.getElementById('alert-banner');
+    const shown = alerts.filter(alert => !dismissedAlerts.has(alert.id));
+    banner.classList.toggle('open', shown.length > 0);
+    banner.innerHTML = shown.map(alert => `
+        <div class="alert-item" data-id="${escapeHtml(alert.id)}">
+            <span>${ALERT_ICONS[alert.rule] || '⚠️'}</span>
+            <span class="alert-text">${escapeHtml(alert.message)}</span>
+            <button class="alert-dismiss" title="Dismiss">×</button>
+        </div>
+    `).join('');
+}
+
+// Clicking an alert flies to the agent: the waiting message, its timeline
+// for a stalled agent, or what it has been sending for a loop
+document.getElementById('alert-banner').addEventListener('click', (e) => {
+    const item = e.target.closest('.alert-item');
+    if (!item) return;
+    const alert = alerts.find(a => a.id === item.dataset.id);
+    if (!alert) return;
+    if (e.target.closest('.alert-dismiss')) {
+        dismissedAlerts.add(alert.id);
+        renderAlertBanner();
+        return;
+    }
+    flyToDesk(alert.agent);
+    if (alert.rule === 'stalled') {
+        showDeskDialog(alert.agent, { tab: 'activity' });
+    } else {
+        showDeskDialog(alert.agent, { tab: 'sent', messageId: alert.messageId ?? null });
+    }
+});
+
+// Activity feed: the latest tool usage across every agent
+const ACTIVITY_FEED_SIZE = 200;
+
+function renderActivityFeed() {
+    const list = document.getElementById('activity-list');
+    if (toolHistory.length === 0) {
+        list.innerHTML = '<div class="search-empty">No tool usage in the last 30 minutes</div>';
+        return;
+    }
+    list.innerHTML = toolHistory.map(usage => `
+        <div class="activity-item" data-name="${escapeHtml(usage.name)}">
+            <span class="activity-dot ${toolAnimation(usage.tool_name) || ''}"></span>
+            <span class="activity-name">${escapeHtml(usage.name)}</span>
+            <span class="activity-tool">${escapeHtml(usage.tool_name)}</span>
+            <span class="activity-time">${new Date(toMillis(usage.timestamp)).toLocaleTimeString()}</span>
+        </div>
+    `).join('');
+}
+
+window.toggleActivityPanel = function() {
+    const panel = document.getElementById('activity-panel');
+    panel.classList.toggle('collapsed');
+    document.getElementById('activity-collapse-btn').textContent = panel.classList.contains('collapsed') ? '+' : '−';
+};
+
+// Clicking an entry flies to that agent and opens its timeline
+document.getElementById('activity-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.activity-item');
+    if (!item) return;
+    flyToDesk(item.dataset.name);
+    showDeskDialog(item.dataset.name, { tab: 'activity' });
+});
+
+// Subscribe to live changes; every (re)connect resyncs the full state first
+function connectEvents() {
+    if (!window.EventSource) {
+        loadData();
+        setInterval(loadData, 5000);
+        return;
+    }
+    
+    const source = new EventSource('/api/events');
+    source.addEventListener('open', () => loadData());
+    
+    // The browser retries dropped streams itself, but gives up on HTTP errors
+    // (e.g. 401 after the session expired); loadData sends us to the login page then
+    source.addEventListener('error', () => {
+        if (source.readyState === EventSource.CLOSED) {
+            loadData();
+            setTimeout(connectEvents, 5000);
+        }
+    });
+    
+    const handlers = {
+        messages: applyMessageChanges,
+        coworkers: applyCoworkerChanges,
+        status: applyStatusChanges,
+        alerts: applyAlerts
+    };
+    // Status and alert events redraw their own panels; only messages and
+    // coworkers change the message lists, so only they redraw those
+    Object.entries(handlers).forEach(([event, apply]) => {
+        source.addEventListener(event, (e) => {
+            apply(JSON.parse(e.data));
+            if (event === 'messages' || event === 'coworkers') updateUI();
+            updateVillage();
+        });
+    });
+}
+
 // Panel toggle functions
 window.toggleSendPanel = function() {
     const panel = document.getElementById('send-panel');
@@ -1192,8 +2348,161 @@ window.toggleMessagesPanel = function() {
     btn.style.pointerEvents = panel.classList.contains('open') ? 'none' : 'auto';
 };
 
+// Desktop notifications and a chime for new messages to the user. Opt-in,
+// with do-not-disturb and per-sender mutes, remembered in localStorage.
+const NOTIFY_SETTINGS_KEY = 'watercooler.notifications';
+const notifySettings = {
+    desktop: false,
+    chime: false,
+    dnd: false,
+    muted: [], // senders, lowercased
+    ...readStoredJson(NOTIFY_SETTINGS_KEY)
+};
+
+function readStoredJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function saveNotifySettings() {
+    localStorage.setItem(NOTIFY_SETTINGS_KEY, JSON.stringify(notifySettings));
+}
+
+// Highest message id already considered. Null until the first load, so
+// mail that was waiting when the page opened doesn't all pop up at once.
+let lastNotifiedMessageId = null;
+
+function notifyNewMessages() {
+    const me = config.user.toLowerCase();
+    const maxId = allMessages.reduce((max, m) => Math.max(max, m.id), 0);
+    if (lastNotifiedMessageId === null) {
+        lastNotifiedMessageId = maxId;
+        return;
+    }
+    const fresh = allMessages
+        .filter(m => m.id > lastNotifiedMessageId && !m.read && m.recipient.toLowerCase() === me)
+        .filter(m => !notifySettings.muted.includes(m.sender.toLowerCase()))
+        .sort((a, b) => a.id - b.id);
+    lastNotifiedMessageId = Math.max(lastNotifiedMessageId, maxId);
+    if (fresh.length === 0 || notifySettings.dnd) return;
+    
+    if (notifySettings.chime) playChime();
+    
+    // Desktop notifications are for when the village isn't in front of you
+    if (!notifySettings.desktop || !window.Notification || Notification.permission !== 'granted' || document.hasFocus()) return;
+    if (fresh.length > 3) {
+        const senders = Array.from(new Set(fresh.map(m => m.sender)));
+        showNotification(`${fresh.length} new messages`, `From ${senders.join(', ')}`, 'watercooler-batch', () => {
+            if (!document.getElementById('messages-panel').classList.contains('open')) toggleMessagesPanel();
+        });
+        return;
+    }
+    fresh.forEach(msg => {
+        const preview = messageParts(msg).content.replace(/\s+/g, ' ').trim();
+        showNotification(
+            msg.sender,
+            preview.length > 140 ? `${preview.slice(0, 140)}…` : preview,
+            `watercooler-${msg.id}`,
+            () => {
+                flyToDesk(msg.sender);
+                showDeskDialog(msg.sender, { tab: 'sent', messageId: msg.id });
+            }
+        );
+    });
+}
+
+function showNotification(title, body, tag, onOpen) {
+    const notification = new Notification(title, { body, tag });
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+        onOpen();
+    };
+}
+
+// Two soft rising tones, synthesized so there's no sound file to ship
+let chimeContext = null;
+function playChime() {
+    try {
+        chimeContext = chimeContext || new AudioContext();
+        const start = chimeContext.currentTime;
+        [660, 880].forEach((frequency, i) => {
+            const oscillator = chimeContext.createOscillator();
+            const gain = chimeContext.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            const t = start + i * 0.12;
+            gain.gain.setValueAtTime(0, t);
+            gain.gain.linearRampToValueAtTime(0.15, t + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
+            oscillator.connect(gain).connect(chimeContext.destination);
+            oscillator.start(t);
+            oscillator.stop(t + 0.5);
+        });
+    } catch (err) {
+        console.error('Error playing chime:', err);
+    }
+}
+
+// Notification settings (in the messages panel)
+window.toggleNotifySettings = function() {
+    const settings = document.getElementById('notify-settings');
+    settings.classList.toggle('open');
+    if (settings.classList.contains('open')) renderNotifySettings();
+};
+
+function renderNotifySettings() {
+    document.getElementById('notify-desktop').checked = notifySettings.desktop;
+    document.getElementById('notify-chime').checked = notifySettings.chime;
+    document.getElementById('notify-dnd').checked = notifySettings.dnd;
+    
+    const senders = Array.from(new Set([...recipients, ...notifySettings.muted])).sort();
+    document.getElementById('notify-mutes').innerHTML = senders.length === 0
+        ? '<div class="search-empty">No coworkers yet</div>'
+        : senders.map(name => `
+            <label class="notify-option">
+                <input type="checkbox" data-sender="${escapeHtml(name)}" ${notifySettings.muted.includes(name) ? 'checked' : ''}>
+                Mute ${escapeHtml(name)}
+            </label>
+        `).join('');
+    updateNotifyButton();
+}
+
+function updateNotifyButton() {
+    document.getElementById('notify-settings-btn').textContent = notifySettings.dnd ? '🔕' : '🔔';
+}
+
+window.setNotifyOption = async function(option, enabled) {
+    if (option === 'desktop' && enabled && window.Notification && Notification.permission !== 'granted') {
+        if (await Notification.requestPermission() !== 'granted') {
+            enabled = false;
+            alert('Notifications are blocked for this site; allow them in the browser to get desktop alerts.');
+        }
+    }
+    if (option === 'desktop' && enabled && !window.Notification) {
+        enabled = false;
+        alert('This browser does not support desktop notifications.');
+    }
+    // Unlock audio while we have a user gesture
+    if (option === 'chime' && enabled) playChime();
+    notifySettings[option] = enabled;
+    saveNotifySettings();
+    renderNotifySettings();
+};
+
+document.getElementById('notify-mutes').addEventListener('change', (e) => {
+    const sender = e.target.dataset.sender;
+    if (!sender) return;
+    notifySettings.muted = notifySettings.muted.filter(name => name !== sender);
+    if (e.target.checked) notifySettings.muted.push(sender);
+    saveNotifySettings();
+});
+
 function updateUI() {
-    const unread = messages.filter(m => !m.read && m.recipient.toLowerCase() === config.user.toLowerCase()).length;
+    const unread = allMessages.filter(m => !m.read && m.recipient.toLowerCase() === config.user.toLowerCase()).length;
     
     // Update messages button - change icon and show badge when unread
     const msgBtn = document.getElementById('toggle-messages-btn');
@@ -1211,85 +2520,347 @@ function updateUI() {
     select.innerHTML = '<option value="">Coworker...</option>' +
         everyoneOption +
         recipients.sort().map(r => 
-            `<option value="${r}" ${r === currentVal ? 'selected' : ''}>${r}</option>`
+            `<option value="${escapeHtml(r)}" ${r === currentVal ? 'selected' : ''}>${escapeHtml(r)}</option>`
         ).join('');
     
-    // Update messages list (slide-out panel)
+    renderMailAgentFilter();
+    renderMessagesPanel();
+    
+    // Update desk dialog if it's open
+    if (document.getElementById('house-dialog').classList.contains('active')) {
+        updateDeskDialogContent();
+    }
+    
+    notifyNewMessages();
+}
+
+// Messages panel: Inbox / Sent / All tabs, each a pager filtered by the
+// controls above the list. `agentFilter` is what the coworker filter matches.
+const MAIL_TABS = {
+    inbox: { endpoint: '/api/messages', agentFilter: 'sender', anyone: 'From anyone', empty: 'No messages yet' },
+    sent: { endpoint: '/api/messages/sent', agentFilter: 'recipient', anyone: 'To anyone', empty: 'Nothing sent yet' },
+    all: { endpoint: '/api/messages/all', agentFilter: 'sender', anyone: 'From anyone', empty: 'No messages yet' }
+};
+let mailTab = 'inbox';
+let mailFilters = { agent: '', unread: false, choices: false, from: '', to: '' };
+
+// Query params for the current tab and filters. Dates cover whole local days.
+function mailQuery() {
+    const query = {};
+    if (mailFilters.agent) query[MAIL_TABS[mailTab].agentFilter] = mailFilters.agent;
+    if (mailFilters.unread) query.read = 0;
+    if (mailFilters.choices) query.choices = 1;
+    if (mailFilters.from) query.from = new Date(`${mailFilters.from}T00:00:00`).getTime();
+    if (mailFilters.to) query.to = new Date(`${mailFilters.to}T23:59:59.999`).getTime();
+    return query;
+}
+
+function createMailPager() {
+    const me = config.user.toLowerCase();
+    const query = mailQuery();
+    const inTab = mailTab === 'inbox' ? (m) => m.recipient.toLowerCase() === me
+        : mailTab === 'sent' ? (m) => m.sender.toLowerCase() === me
+        : () => true;
+    return createMessagePager(query, {
+        endpoint: MAIL_TABS[mailTab].endpoint,
+        matches: (m) => inTab(m)
+            && (!query.sender || m.sender.toLowerCase() === query.sender)
+            && (!query.recipient || m.recipient.toLowerCase() === query.recipient)
+            && (query.read === undefined || !m.read)
+            && (!query.choices || asksUser(messageParts(m).frontmatter))
+            && (query.from === undefined || m.timestamp >= query.from)
+            && (query.to === undefined || m.timestamp <= query.to)
+    });
+}
+
+// Swap in a pager for the current tab and filters. The old list stays up until it loads.
+async function reloadMailPager() {
+    const pager = createMailPager();
+    mailPager = pager;
+    try {
+        await refreshPager(pager);
+    } catch (err) {
+        console.error('Error loading messages:', err);
+    }
+    if (pager !== mailPager) return;
+    document.getElementById('messages-container').scrollTop = 0;
+    renderMessagesPanel();
+}
+
+window.switchMailTab = function(tab) {
+    mailTab = tab;
+    Object.keys(MAIL_TABS).forEach(name => {
+        document.getElementById(`mail-tab-${name}`).classList.toggle('active', name === tab);
+    });
+    renderMailAgentFilter();
+    reloadMailPager();
+};
+
+window.clearMailFilters = function() {
+    document.querySelectorAll('#mail-filters input[type="checkbox"]').forEach(el => { el.checked = false; });
+    document.querySelectorAll('#mail-filters input[type="date"], #mail-filters select').forEach(el => { el.value = ''; });
+    mailFilters = { agent: '', unread: false, choices: false, from: '', to: '' };
+    reloadMailPager();
+};
+
+document.getElementById('mail-filters').addEventListener('change', () => {
+    mailFilters = {
+        agent: document.getElementById('mail-filter-agent').value,
+        unread: document.getElementById('mail-filter-unread').checked,
+        choices: document.getElementById('mail-filter-choices').checked,
+        from: document.getElementById('mail-filter-from').value,
+        to: document.getElementById('mail-filter-to').value
+    };
+    reloadMailPager();
+});
+
+// Coworker filter options: everyone in coworkers.db or the loaded messages
+function renderMailAgentFilter() {
+    const select = document.getElementById('mail-filter-agent');
+    const names = new Set(recipients.map(r => r.toLowerCase()));
+    allMessages.forEach(m => {
+        names.add(m.sender.toLowerCase());
+        names.add(m.recipient.toLowerCase());
+    });
+    names.delete(config.user.toLowerCase());
+    if (mailFilters.agent) names.add(mailFilters.agent);
+    
+    select.innerHTML = `<option value="">${MAIL_TABS[mailTab].anyone}</option>` +
+        Array.from(names).sort().map(name =>
+            `<option value="${escapeHtml(name)}" ${name === mailFilters.agent ? 'selected' : ''}>${escapeHtml(name)}</option>`
+        ).join('');
+}
+
+// Rows of one broadcast (same text and reply, sent together) as one group
+function groupSentMessages(rows) {
+    const groups = [];
+    for (const msg of rows) {
+        const group = groups[groups.length - 1];
+        const prev = group?.[group.length - 1];
+        if (prev && prev.message === msg.message && prev.reply_to === msg.reply_to && Math.abs(prev.timestamp - msg.timestamp) < 1000) {
+            group.push(msg);
+        } else {
+            groups.push([msg]);
+        }
+    }
+    return groups;
+}
+
+// A message the user sent, with a read receipt per recipient
+function renderSentCard(group) {
+    const [msg] = group;
+    const { content } = messageParts(msg);
+    const receipts = group
+        .slice()
+        .sort((a, b) => a.recipient.localeCompare(b.recipient))
+        .map(m => `<span class="read-receipt ${m.read ? 'read' : ''}" title="${m.read_at ? `Read ${new Date(m.read_at).toLocaleString()}` : m.read ? 'Read' : 'Not read yet'}">${m.read ? '✓' : '○'} ${escapeHtml(m.recipient)}</span>`)
+        .join('');
+    
+    return `
+        <div class="message-card" data-id="${msg.id}" data-sender="${escapeHtml(msg.sender)}" data-recipient="${escapeHtml(msg.recipient)}">
+            <div class="message-header">
+                <span class="message-sender">→ ${group.length === 1 ? escapeHtml(msg.recipient) : `${group.length} coworkers`}</span>
+                <span class="message-time">${new Date(msg.timestamp).toLocaleString()}</span>
+            </div>
+            <div class="message-text">${renderMarkdown(content, msg.id)}</div>
+            <div class="read-receipts">${receipts}</div>
+        </div>
+    `;
+}
+
+const renderedCards = new WeakMap(); // list item -> the HTML it was created from
+
+// Whether a card holds input the user hasn't sent: a focused field, or a form
+// field changed from how it was rendered
+function hasPendingInput(el) {
+    if (el.querySelector('input:focus, textarea:focus, select:focus')) return true;
+    return Array.from(el.querySelectorAll('.message-form input, .message-form textarea')).some(field =>
+        field.type === 'checkbox' || field.type === 'radio'
+            ? field.checked !== field.defaultChecked
+            : field.value !== field.defaultValue
+    );
+}
+
+// Render a list of message cards into a container by patching it: items are
+// matched by message id, and ones whose HTML is unchanged or that hold
+// pending input keep their DOM, so live updates don't wipe a half-filled
+// form or an open menu. Items without a message id are always replaced.
+function patchCardList(container, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const keyOf = (el) => el.matches('.message-card') ? el.dataset.id : el.querySelector('.message-card')?.dataset.id;
+    
+    const current = new Map();
+    Array.from(container.children).forEach(el => {
+        const key = keyOf(el);
+        if (key) current.set(key, el);
+    });
+    const items = Array.from(template.content.children).map(el => {
+        const old = current.get(keyOf(el));
+        if (old && (renderedCards.get(old) === el.outerHTML || hasPendingInput(old))) return old;
+        renderedCards.set(el, el.outerHTML);
+        return el;
+    });
+    
+    // Insert in place rather than replacing everything, so kept items aren't
+    // detached (which would drop their focus)
+    items.forEach((el, i) => {
+        if (container.children[i] !== el) container.insertBefore(el, container.children[i] ?? null);
+    });
+    while (container.children.length > items.length) container.lastElementChild.remove();
+}
+
+// Update messages list (slide-out panel) with every loaded page of the current tab
+function renderMessagesPanel() {
     const messagesDiv = document.getElementById('messages-container');
-    if (messages.length === 0) {
-        messagesDiv.innerHTML = `
+    const me = config.user.toLowerCase();
+    if (!mailPager || mailPager.rows.length === 0) {
+        const filtered = Object.keys(mailPager?.filters ?? {}).length > 0;
+        patchCardList(messagesDiv, `
             <div class="empty-state">
                 <div style="font-size: 2rem; margin-bottom: 8px;">📭</div>
-                <p>No messages yet</p>
+                <p>${filtered ? 'No messages match these filters' : MAIL_TABS[mailTab].empty}</p>
             </div>
-        `;
+        `);
     } else {
-        messagesDiv.innerHTML = messages.slice(0, 20).map(msg => renderMessageCard(msg, true)).join('');
-        
-        // Add click handlers for all messages (clicking marks as read and sets recipient for reply)
-        messagesDiv.querySelectorAll('.message-card').forEach(el => {
-            el.addEventListener('click', () => {
-                const msgId = el.dataset.id;
-                const sender = el.dataset.sender;
-                const recipient = el.dataset.recipient;
-                
-                // Determine who to reply to
-                // If I received the message, reply to sender
-                // If I sent the message, reply to the original recipient
-                const myName = config.user.toLowerCase();
-                const replyTo = recipient.toLowerCase() === myName ? sender : recipient;
-                
-                // Set the recipient select
-                const select = document.getElementById('recipient-select');
-                if (select) {
-                    select.value = replyTo;
-                }
-                
-                // Mark as read
-                markAsRead(msgId);
-                
-                // Expand send panel if collapsed
-                const sendPanel = document.getElementById('send-panel');
-                if (sendPanel && sendPanel.classList.contains('collapsed')) {
-                    toggleSendPanel();
-                }
-                
-                // Focus the message input for typing
-                const messageInput = document.getElementById('message-input');
-                if (messageInput) {
-                    messageInput.focus();
-                }
-            });
-        });
+        patchCardList(messagesDiv, mailTab === 'sent'
+            ? groupSentMessages(mailPager.rows).map(renderSentCard).join('')
+            : mailPager.rows.map(msg => renderMessageCard(msg, msg.recipient.toLowerCase() === me)).join(''));
+    }
+}
+
+// Clicking a message marks it read and sets the recipient for a reply
+document.getElementById('messages-container').addEventListener('click', (e) => {
+    const el = e.target.closest('.message-card');
+    if (!el) return;
+    const msgId = el.dataset.id;
+    const sender = el.dataset.sender;
+    const recipient = el.dataset.recipient;
+    
+    // Determine who to reply to
+    // If I received the message, reply to sender
+    // If I sent the message, reply to the original recipient
+    const toMe = recipient.toLowerCase() === config.user.toLowerCase();
+    const replyTo = toMe ? sender : recipient;
+    
+    // Set the recipient select
+    const select = document.getElementById('recipient-select');
+    if (select) {
+        select.value = replyTo;
+    }
+    
+    if (config.role === 'readonly') return;
+    
+    // Link the reply to this message when answering its sender
+    setReplyingTo(replyTo === sender ? { id: Number(msgId), sender: sender.toLowerCase() } : null);
+    
+    // Mark as read, unless it was sent to someone else
+    if (toMe) markAsRead(msgId);
+    
+    // Expand send panel if collapsed
+    const sendPanel = document.getElementById('send-panel');
+    if (sendPanel && sendPanel.classList.contains('collapsed')) {
+        toggleSendPanel();
     }
     
-    // Update desk dialog if it's open
-    if (document.getElementById('house-dialog').classList.contains('active')) {
-        updateDeskDialogContent();
+    // Focus the message input for typing
+    const messageInput = document.getElementById('message-input');
+    if (messageInput) {
+        messageInput.focus();
     }
-}
+});
 
 async function markAsRead(id) {
+    if (config.role === 'readonly') return;
     try {
-        await fetch(`/api/messages/${id}/read`, { method: 'POST' });
-        loadData();
+        const response = await fetch(`/api/messages/${id}/read`, { method: 'POST' });
+        if (!response.ok) {
+            console.error('Error marking as read:', await responseError(response));
+        }
     } catch (err) {
         console.error('Error marking as read:', err);
     }
 }
 
+window.markAsUnread = async function(id) {
+    try {
+        const response = await fetch(`/api/messages/${id}/unread`, { method: 'POST' });
+        if (!response.ok) {
+            alert(`Failed to mark as unread: ${await responseError(response)}`);
+        }
+    } catch (err) {
+        console.error('Error marking as unread:', err);
+    }
+};
+
+// When a snooze choice ends: minutes from now, or 9am tomorrow / next Monday
+function snoozeUntil(choice) {
+    const date = new Date();
+    if (choice === 'tomorrow') {
+        date.setDate(date.getDate() + 1);
+        date.setHours(9, 0, 0, 0);
+    } else if (choice === 'monday') {
+        date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+        date.setHours(9, 0, 0, 0);
+    } else {
+        date.setTime(date.getTime() + Number(choice) * 60 * 1000);
+    }
+    return date.getTime();
+}
+
+// Hide a message until later; the server turns it unread again when the time comes
+window.snoozeMessage = async function(id, choice) {
+    if (!choice) return;
+    try {
+        const response = await fetch(`/api/messages/${id}/snooze`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ until: snoozeUntil(choice) })
+        });
+        if (!response.ok) {
+            alert(`Failed to snooze: ${await responseError(response)}`);
+        }
+    } catch (err) {
+        console.error('Error snoozing message:', err);
+    }
+};
+
+window.logout = async function() {
+    await fetch('/api/logout', { method: 'POST' });
+    window.location.href = '/login.html';
+};
+
 window.markAllAsRead = async function() {
-    const unreadMessages = messages.filter(m => !m.read && m.recipient.toLowerCase() === config.user.toLowerCase());
+    const unreadMessages = allMessages.filter(m => !m.read && m.recipient.toLowerCase() === config.user.toLowerCase());
     if (unreadMessages.length === 0) return;
     
     try {
-        await Promise.all(unreadMessages.map(m => fetch(`/api/messages/${m.id}/read`, { method: 'POST' })));
-        loadData();
+        const responses = await Promise.all(unreadMessages.map(m => fetch(`/api/messages/${m.id}/read`, { method: 'POST' })));
+        const failed = responses.find(r => !r.ok);
+        if (failed) {
+            alert(`Failed to mark messages as read: ${await responseError(failed)}`);
+        }
     } catch (err) {
         console.error('Error marking all as read:', err);
     }
 };
 
+// Message the send panel is answering ({ id, sender }), set by clicking a message card
+let replyingTo = null;
+
+function setReplyingTo(msg) {
+    replyingTo = msg;
+    const indicator = document.getElementById('reply-indicator');
+    if (msg) {
+        indicator.innerHTML = `↩ Replying to ${escapeHtml(msg.sender)} <button class="reply-cancel-btn" onclick="setReplyingTo(null)">×</button>`;
+        indicator.style.display = 'flex';
+    } else {
+        indicator.innerHTML = '';
+        indicator.style.display = 'none';
+    }
+}
+window.setReplyingTo = setReplyingTo;
+
 async function sendMessage() {
     const to = document.getElementById('recipient-select').value;
     const message = document.getElementById('message-input').value.trim();
@@ -1300,49 +2871,48 @@ async function sendMessage() {
     }
     
     try {
-        let sendPromises;
+        let response;
         
         if (to === '@everyone') {
-            // Send to all recipients individually
-            sendPromises = recipients.map(recipient => 
-                fetch('/api/send', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ to: recipient, from: config.user, message })
-                })
-            );
+            // Broadcast to all coworkers in one transaction
+            response = await fetch('/api/broadcast', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message })
+            });
         } else {
-            // Send to single recipient
-            sendPromises = [fetch('/api/send', {
+            // Send to single recipient, linked to the message being answered
+            const replyTo = replyingTo && replyingTo.sender === to.toLowerCase() ? replyingTo.id : null;
+            response = await fetch('/api/send', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ to, from: config.user, message })
-            })];
+                body: JSON.stringify({ to, from: config.user, message, replyTo })
+            });
         }
         
-        const responses = await Promise.all(sendPromises);
-        const allSuccessful = responses.every(r => r.ok);
+        const result = await response.json();
         
-        if (allSuccessful) {
+        if (response.ok) {
             // Clear input
             document.getElementById('message-input').value = '';
+            setReplyingTo(null);
             
             // Show toast
             const toast = document.getElementById('toast');
             const toastMsg = document.getElementById('toast-message');
             if (toastMsg && to === '@everyone') {
-                toastMsg.textContent = `Message broadcast to ${recipients.length} coworkers!`;
+                toastMsg.textContent = `Message broadcast to ${result.results.length} coworkers!`;
             }
             toast.classList.add('show');
             setTimeout(() => {
                 toast.classList.remove('show');
                 if (toastMsg) toastMsg.textContent = 'Message sent!';
             }, 3000);
-            
-            // Reload data
-            loadData();
+        } else if (result.results) {
+            const failed = result.results.filter(r => !r.success).map(r => r.recipient);
+            alert(`Broadcast failed, nothing was sent (${result.error}). Recipients: ${failed.join(', ')}`);
         } else {
-            alert('Failed to send message to some recipients');
+            alert(`Failed to send message: ${result.error}`);
         }
     } catch (err) {
         console.error('Error sending:', err);
@@ -1407,12 +2977,16 @@ function handleDeskInteraction(clientX, clientY) {
         });
     });
     
-    const intersects = raycaster.intersectObjects(deskMeshes);
+    // Connection lines and their markers open the conversation between the pair
+    raycaster.params.Line.threshold = 0.5;
+    const intersects = raycaster.intersectObjects([...deskMeshes, ...connectionLines]);
     
     if (intersects.length > 0) {
-        const agentName = intersects[0].object.userData.agentName;
+        const { agentName, pair } = intersects[0].object.userData;
         if (agentName) {
             showDeskDialog(agentName);
+        } else if (pair) {
+            openConversation(pair[0], pair[1]);
         }
     }
 }
@@ -1420,11 +2994,16 @@ function handleDeskInteraction(clientX, clientY) {
 // Global variable to track current agent for desk dialog
 let currentDeskAgent = null;
 let currentTab = 'received';
+let deskPagers = {}; // tab -> pager over the agent's messages
+let dialogView = null; // thread or conversation shown in place of the tabs
+let deskActivity = null; // { name, rows } tool usage of the agent in the last 30 minutes
 
 // Show dialog with messages for a specific agent
-async function showDeskDialog(agentName) {
+// (optionally opening `tab` scrolled to the message with id `messageId`)
+async function showDeskDialog(agentName, { tab = 'received', messageId = null } = {}) {
+    closeDialogView();
     currentDeskAgent = agentName.toLowerCase();
-    currentTab = 'received'; // Default to received tab
+    currentTab = tab;
     
     const dialog = document.getElementById('house-dialog');
     const title = document.getElementById('house-dialog-title');
@@ -1432,26 +3011,55 @@ async function showDeskDialog(agentName) {
     // Capitalize first letter
     const displayName = agentName.charAt(0).toUpperCase() + agentName.slice(1);
     title.textContent = `${displayName}'s Messages`;
+    const coworker = coworkers.get(currentDeskAgent);
+    const details = [coworker?.agent_type, coworker?.parent && `spawned by ${coworker.parent}`].filter(Boolean);
+    if (details.length) title.textContent += ` (${details.join(', ')})`;
     
     // Update tab labels
     document.getElementById('tab-received').innerHTML = 
-        `📥 Received by ${displayName} <span id="received-count" class="tab-badge"></span>`;
+        `📥 Received by ${escapeHtml(displayName)} <span id="received-count" class="tab-badge"></span>`;
     document.getElementById('tab-sent').innerHTML = 
-        `📤 Sent by ${displayName} <span id="sent-count" class="tab-badge"></span>`;
+        `📤 Sent by ${escapeHtml(displayName)} <span id="sent-count" class="tab-badge"></span>`;
+    
+    // Second agent for the pairwise conversation view
+    const others = [config.user.toLowerCase(), ...recipients].filter(name => name !== currentDeskAgent);
+    document.getElementById('conversation-select').innerHTML = '<option value="">💬 With…</option>' +
+        Array.from(new Set(others)).sort().map(name =>
+            `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`
+        ).join('');
     
-    // Load all messages (both sent and received) for this dialog
+    // Load the newest page of each tab; older pages load as the dialog scrolls
+    deskPagers = {
+        received: createMessagePager({ recipient: currentDeskAgent }),
+        sent: createMessagePager({ sender: currentDeskAgent })
+    };
+    deskActivity = { name: currentDeskAgent, rows: [] };
     try {
-        const response = await fetch('/api/messages/all');
-        allMessages = await response.json();
+        await Promise.all([...Object.values(deskPagers).map(refreshPager), loadDeskActivity(currentDeskAgent)]);
+        
+        // An older message loads with the page that ends at it; scrolling
+        // on continues from there
+        const pager = deskPagers[tab];
+        if (messageId && pager.hasMore && !pager.rows.some(m => m.id === messageId)) {
+            const { rows } = await fetchMessagePage({ ...pager.filters, before: messageId + 1, limit: PAGE_SIZE }, pager.endpoint);
+            pager.rows = mergeMessages(pager.rows, rows);
+            pager.hasMore = rows.length === PAGE_SIZE;
+        }
     } catch (err) {
-        console.error('Error loading all messages:', err);
-        allMessages = [];
+        console.error('Error loading desk messages:', err);
     }
     
-    // Switch to received tab by default
-    switchTab('received');
+    switchTab(tab);
     
     dialog.classList.add('active');
+    
+    if (messageId) {
+        const card = document.querySelector(`#house-dialog-content .message-card[data-id="${messageId}"]`);
+        if (card) {
+            card.scrollIntoView({ block: 'center' });
+            card.classList.add('highlighted');
+        }
+    }
 }
 
 // Tab switching function
@@ -1461,6 +3069,7 @@ window.switchTab = function(tab) {
     // Update tab buttons
     document.getElementById('tab-received').classList.toggle('active', tab === 'received');
     document.getElementById('tab-sent').classList.toggle('active', tab === 'sent');
+    document.getElementById('tab-activity').classList.toggle('active', tab === 'activity');
     
     // Update content
     updateDeskDialogContent();
@@ -1469,30 +3078,31 @@ window.switchTab = function(tab) {
 function updateDeskDialogContent() {
     const content = document.getElementById('house-dialog-content');
     
+    if (dialogView?.type === 'thread') {
+        patchCardList(content, renderThread(dialogView));
+        return;
+    }
+    if (dialogView?.type === 'conversation') {
+        patchCardList(content, renderConversation(dialogView));
+        return;
+    }
+    
     if (!currentDeskAgent) return;
     
-    // Filter messages based on current tab - FROM THE AGENT'S PERSPECTIVE
-    let filteredMessages;
-    if (currentTab === 'received') {
-        // Messages RECEIVED BY the agent (sent TO the agent)
-        filteredMessages = allMessages.filter(m => 
-            m.recipient.toLowerCase() === currentDeskAgent
-        );
-    } else {
-        // Messages SENT BY the agent
-        filteredMessages = allMessages.filter(m => 
-            m.sender.toLowerCase() === currentDeskAgent
-        );
+    if (currentTab === 'activity') {
+        content.innerHTML = renderDeskActivity(deskActivity);
+        return;
     }
     
-    // Update count badges
-    const receivedCount = allMessages.filter(m => 
-        m.recipient.toLowerCase() === currentDeskAgent
-    ).length;
+    // Messages based on current tab - FROM THE AGENT'S PERSPECTIVE
+    // (received = sent TO the agent, sent = sent BY the agent)
+    const pager = deskPagers[currentTab];
+    if (!pager) return;
+    const filteredMessages = pager.rows;
     
-    const sentCount = allMessages.filter(m => 
-        m.sender.toLowerCase() === currentDeskAgent
-    ).length;
+    // Update count badges
+    const receivedCount = deskPagers.received.total;
+    const sentCount = deskPagers.sent.total;
     
     const receivedBadge = document.getElementById('received-count');
     const sentBadge = document.getElementById('sent-count');
@@ -1502,162 +3112,388 @@ function updateDeskDialogContent() {
     
     // Render messages
     if (filteredMessages.length === 0) {
-        content.innerHTML = `
+        patchCardList(content, `
             <div class="empty-state">
                 <div style="font-size: 2rem; margin-bottom: 8px;">📭</div>
                 <p>No ${currentTab} messages</p>
             </div>
-        `;
+        `);
     } else {
-        content.innerHTML = filteredMessages.map(msg => renderMessageCard(msg, true)).join('');
+        patchCardList(content, filteredMessages.map(msg => renderMessageCard(msg, true)).join(''));
+    }
+}
+
+// Per-agent activity timeline: the last 30 minutes of tool usage
+const ACTIVITY_WINDOW_MS = 30 * 60 * 1000;
+
+async function loadDeskActivity(name) {
+    if (!config.status) return;
+    const res = await fetch(`/api/status/history?${new URLSearchParams({ name })}`);
+    const rows = await res.json();
+    if (deskActivity?.name === name && Array.isArray(rows)) deskActivity.rows = rows;
+}
+
+// Human-readable length of a span, e.g. "2m 05s"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function renderDeskActivity(activity) {
+    if (!config.status) {
+        return '<div class="empty-state"><p>No status DB configured (start with --status)</p></div>';
+    }
+    const now = Date.now();
+    const windowStart = now - ACTIVITY_WINDOW_MS;
+    const rows = (activity?.rows || []).filter(row => toMillis(row.timestamp) >= windowStart);
+    if (rows.length === 0) {
+        return `
+            <div class="empty-state">
+                <div style="font-size: 2rem; margin-bottom: 8px;">💤</div>
+                <p>No tool usage in the last 30 minutes</p>
+            </div>
+        `;
+    }
+    
+    // Each usage lasts until the next one (the newest until now)
+    const spans = rows.map((row, i) => {
+        const start = toMillis(row.timestamp);
+        const end = i === 0 ? now : toMillis(rows[i - 1].timestamp);
+        return { ...row, start, end };
+    });
+    
+    const bar = spans.slice().reverse().map(span => {
+        const left = ((span.start - windowStart) / ACTIVITY_WINDOW_MS) * 100;
+        const width = Math.max(((span.end - span.start) / ACTIVITY_WINDOW_MS) * 100, 0.3);
+        return `<div class="activity-segment ${toolAnimation(span.tool_name) || ''}" style="left: ${left}%; width: ${width}%;"
+                     title="${escapeHtml(span.tool_name)} · ${new Date(span.start).toLocaleTimeString()} · ${formatDuration(span.end - span.start)}"></div>`;
+    }).join('');
+    
+    return `
+        <div class="activity-timeline">${bar}</div>
+        <div class="activity-axis"><span>30 min ago</span><span>now</span></div>
+        ${spans.map(span => `
+            <div class="activity-item">
+                <span class="activity-dot ${toolAnimation(span.tool_name) || ''}"></span>
+                <span class="activity-tool">${escapeHtml(span.tool_name)}</span>
+                <span class="activity-time">${new Date(span.start).toLocaleTimeString()} · ${formatDuration(span.end - span.start)}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+// Replace the agent's tabs with an alternate view (a thread or a conversation).
+// "Back" returns to the tabs if the dialog was showing an agent before.
+function showDialogView(view, title) {
+    const dialog = document.getElementById('house-dialog');
+    const titleEl = document.getElementById('house-dialog-title');
+    const returnTitle = dialogView
+        ? dialogView.returnTitle
+        : dialog.classList.contains('active') && currentDeskAgent ? titleEl.textContent : null;
+    dialogView = { ...view, returnTitle };
+    
+    titleEl.textContent = title;
+    document.querySelector('.house-dialog-tabs').style.display = 'none';
+    document.getElementById('house-dialog-back').style.display = returnTitle ? '' : 'none';
+    updateDeskDialogContent();
+    dialog.classList.add('active');
+}
+
+// Leave the alternate view, returning to the agent's tabs
+window.closeDialogView = function() {
+    if (!dialogView) return;
+    if (dialogView.returnTitle) {
+        document.getElementById('house-dialog-title').textContent = dialogView.returnTitle;
+    }
+    dialogView = null;
+    document.querySelector('.house-dialog-tabs').style.display = '';
+    document.getElementById('house-dialog-back').style.display = 'none';
+    updateDeskDialogContent();
+};
+
+// Show a whole thread in the desk dialog
+window.openThread = async function(messageId) {
+    try {
+        const res = await fetch(`/api/messages/${messageId}/thread`);
+        const thread = await res.json();
+        if (!res.ok) throw new Error(thread.error);
+        
+        showDialogView({ type: 'thread', ...thread, focusId: messageId }, '🧵 Thread');
+        
+        const card = document.querySelector(`#house-dialog-content .message-card[data-id="${messageId}"]`);
+        if (card) {
+            card.scrollIntoView({ block: 'center' });
+            card.classList.add('highlighted');
+        }
+    } catch (err) {
+        console.error('Error loading thread:', err);
+    }
+};
+
+// Show the back-and-forth between two agents, chat-style, in the desk dialog
+window.openConversation = async function(a, b) {
+    const pair = [a.toLowerCase(), b.toLowerCase()];
+    const pager = createMessagePager({}, {
+        endpoint: `/api/conversations/${encodeURIComponent(pair[0])}/${encodeURIComponent(pair[1])}`,
+        matches: (m) => {
+            const sender = m.sender.toLowerCase();
+            const recipient = m.recipient.toLowerCase();
+            return (sender === pair[0] && recipient === pair[1]) || (sender === pair[1] && recipient === pair[0]);
+        }
+    });
+    pager.oldestFirst = true;
+    
+    try {
+        await refreshPager(pager);
+    } catch (err) {
+        console.error('Error loading conversation:', err);
+    }
+    
+    const displayName = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+    showDialogView({ type: 'conversation', pair, pager }, `💬 ${displayName(pair[0])} ↔ ${displayName(pair[1])}`);
+    
+    // Start at the latest message
+    const content = document.getElementById('house-dialog-content');
+    content.scrollTop = content.scrollHeight;
+};
+
+// Render a conversation oldest first, one side per agent
+function renderConversation(view) {
+    if (view.pager.rows.length === 0) {
+        return `
+            <div class="empty-state">
+                <div style="font-size: 2rem; margin-bottom: 8px;">💬</div>
+                <p>No messages between ${escapeHtml(view.pair[0])} and ${escapeHtml(view.pair[1])}</p>
+            </div>
+        `;
+    }
+    
+    return view.pager.rows.slice().reverse().map(msg => `
+        <div class="chat-row ${msg.sender.toLowerCase() === view.pair[0] ? 'chat-left' : 'chat-right'}">
+            ${renderMessageCard(msg, true)}
+        </div>
+    `).join('');
+}
+
+// Re-fetch the open thread (after live changes touch it)
+async function refreshThread() {
+    const view = dialogView;
+    if (view?.type !== 'thread') return;
+    try {
+        const res = await fetch(`/api/messages/${view.root}/thread`);
+        if (!res.ok) return;
+        const { root, messages } = await res.json();
+        if (dialogView !== view) return;
+        Object.assign(view, { root, messages });
+        updateDeskDialogContent();
+    } catch (err) {
+        console.error('Error refreshing thread:', err);
     }
 }
 
+// Render a thread as an indented reply tree, oldest first
+function renderThread(thread) {
+    const children = new Map();
+    thread.messages.forEach(m => {
+        const parent = m.id === thread.root ? null : m.reply_to;
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(m);
+    });
+    
+    const items = [];
+    (function walk(parent, depth) {
+        (children.get(parent) || []).forEach(m => {
+            items.push({ msg: m, depth });
+            walk(m.id, depth + 1);
+        });
+    })(null, 0);
+    
+    return items.map(({ msg, depth }) => `
+        <div class="thread-item" style="margin-left: ${Math.min(depth, 4) * 16}px">
+            ${renderMessageCard(msg, true)}
+        </div>
+    `).join('');
+}
+
 window.closeDeskDialog = function() {
     document.getElementById('house-dialog').classList.remove('active');
+    deskPagers = {};
+    deskActivity = null;
+    currentDeskAgent = null;
+    if (dialogView) {
+        dialogView = null;
+        document.querySelector('.house-dialog-tabs').style.display = '';
+        document.getElementById('house-dialog-back').style.display = 'none';
+    }
+    
+    // Return to the overview if a search result flew the camera to a desk
+    if (cameraReturn) {
+        flyCameraTo(cameraReturn.target, cameraReturn.distance);
+        cameraReturn = null;
+    }
 };
 
 // Update desk labels to show unread indicators and tool names
 function updateDeskLabels() {
+    // Count unread mail both ways in a single pass rather than per desk
+    const { coworkers, messages, statusStates } = villageState();
+    const me = config.user.toLowerCase();
+    const unreadTo = new Map();   // agent -> unread messages we sent them
+    const unreadFrom = new Map(); // agent -> unread messages they sent us
+    messages.forEach(m => {
+        if (m.read) return;
+        const sender = m.sender.toLowerCase();
+        const recipient = m.recipient.toLowerCase();
+        if (sender === me) unreadTo.set(recipient, (unreadTo.get(recipient) || 0) + 1);
+        if (recipient === me) unreadFrom.set(sender, (unreadFrom.get(sender) || 0) + 1);
+    });
+    
     agentMeshes.forEach((group, name) => {
-        const unreadCount = allMessages.filter(m => 
-            m.recipient.toLowerCase() === name.toLowerCase() && 
-            m.sender.toLowerCase() === config.user.toLowerCase() &&
-            !m.read
-        ).length;
-        
-        const unreadFromAgent = allMessages.filter(m => 
-            m.sender.toLowerCase() === name.toLowerCase() && 
-            m.recipient.toLowerCase() === config.user.toLowerCase() &&
-            !m.read
-        ).length;
-        
-        const statusState = statusStates[name.toLowerCase()];
-        const toolName = statusState?.tool_name || null;
-        
-        const sprite = group.children.find(c => c.isSprite);
-        if (sprite) {
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            const scale = 2;
-            canvas.width = 700;
-            canvas.height = toolName ? 160 : 128;
-            context.scale(scale, scale);
-            
-            // Background - themed colors for state
-            if (unreadFromAgent > 0) {
-                context.fillStyle = 'rgba(220, 80, 80, 0.85)';
-            } else if (unreadCount > 0) {
-                context.fillStyle = 'rgba(59, 130, 180, 0.85)';
-            } else {
-                context.fillStyle = 'rgba(20, 60, 60, 0.85)';
-            }
-            context.roundRect(0, 0, 350, toolName ? 80 : 64, 16);
-            context.fill();
-            
-            // Border
-            context.strokeStyle = unreadFromAgent > 0 
-                ? 'rgba(255, 120, 120, 0.6)' 
-                : unreadCount > 0 
-                    ? 'rgba(100, 180, 255, 0.6)' 
-                    : 'rgba(79, 209, 197, 0.3)';
-            context.lineWidth = 1;
-            context.roundRect(0, 0, 350, toolName ? 80 : 64, 16);
-            context.stroke();
-            
-            context.font = 'bold 22px Arial';
-            context.fillStyle = '#e0f5f0';
-            context.textAlign = 'center';
-            context.textBaseline = 'middle';
-            
-            if (unreadFromAgent > 0) {
-                context.fillText(`${name}  ${unreadFromAgent}`, 175, 24);
-            } else if (unreadCount > 0) {
-                context.fillText(`${name}  ${unreadCount}`, 175, 24);
-            } else {
-                context.fillText(name, 175, 24);
-            }
-            
-            if (toolName) {
-                context.font = 'italic 14px Arial';
-                context.fillStyle = '#4fd1c5';
-                context.fillText(toolName, 175, 56);
-            }
-            
-            const texture = new THREE.CanvasTexture(canvas);
-            texture.minFilter = THREE.LinearFilter;
-            texture.magFilter = THREE.LinearFilter;
-            sprite.material.map = texture;
-            sprite.material.needsUpdate = true;
-            
-            sprite.position.set(0, 6.5, 2);
-            sprite.scale.set(7, toolName ? 2.2 : 1.8, 1);
-        }
+        const key = name.toLowerCase();
+        const statusState = statusStates[key];
+        const subtitle = [coworkers.get(name)?.agent_type, statusState?.tool_name].filter(Boolean).join(' · ') || null;
+        drawDeskLabel(group, name, subtitle, unreadTo.get(key) || 0, unreadFrom.get(key) || 0);
     });
 }
 
-// Parse markdown frontmatter from message text
-function parseFrontmatter(text) {
-    const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n?/;
-    const match = text.match(frontmatterRegex);
+// Redraw a desk's name tag, but only when what it shows has changed. The
+// previous texture is disposed so repeated updates don't leak GPU memory.
+function drawDeskLabel(group, name, subtitle, unreadCount, unreadFromAgent) {
+    const sprite = group.getObjectByName('label');
+    if (!sprite) return;
+    const labelKey = JSON.stringify([name, subtitle, unreadCount, unreadFromAgent]);
+    if (group.userData.labelKey === labelKey) return;
+    group.userData.labelKey = labelKey;
+    
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const scale = 2;
+    canvas.width = 700;
+    canvas.height = subtitle ? 160 : 128;
+    context.scale(scale, scale);
     
-    if (!match) {
-        return { content: text, frontmatter: null };
+    // Background - themed colors for state
+    if (unreadFromAgent > 0) {
+        context.fillStyle = 'rgba(220, 80, 80, 0.85)';
+    } else if (unreadCount > 0) {
+        context.fillStyle = 'rgba(59, 130, 180, 0.85)';
+    } else {
+        context.fillStyle = 'rgba(20, 60, 60, 0.85)';
     }
+    context.roundRect(0, 0, 350, subtitle ? 80 : 64, 16);
+    context.fill();
+    
+    // Border
+    context.strokeStyle = unreadFromAgent > 0 
+        ? 'rgba(255, 120, 120, 0.6)' 
+        : unreadCount > 0 
+            ? 'rgba(100, 180, 255, 0.6)' 
+            : 'rgba(79, 209, 197, 0.3)';
+    context.lineWidth = 1;
+    context.roundRect(0, 0, 350, subtitle ? 80 : 64, 16);
+    context.stroke();
     
-    const frontmatterText = match[1];
-    const content = text.slice(match[0].length).trim();
+    context.font = 'bold 22px Arial';
+    context.fillStyle = '#e0f5f0';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
     
-    // Simple YAML-like parsing
-    const frontmatter = {};
-    const lines = frontmatterText.split('\n');
+    if (unreadFromAgent > 0) {
+        context.fillText(`${name}  ${unreadFromAgent}`, 175, 24);
+    } else if (unreadCount > 0) {
+        context.fillText(`${name}  ${unreadCount}`, 175, 24);
+    } else {
+        context.fillText(name, 175, 24);
+    }
     
-    for (const line of lines) {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex > 0) {
-            const key = line.slice(0, colonIndex).trim();
-            let value = line.slice(colonIndex + 1).trim();
-            
-            // Handle arrays: choices: ["option1", "option2"]
-            if (value.startsWith('[') && value.endsWith(']')) {
-                try {
-                    value = JSON.parse(value.replace(/'/g, '"'));
-                } catch {
-                    // Fallback: parse as comma-separated
-                    value = value.slice(1, -1).split(',').map(s => s.trim().replace(/^["']|["']$/g, ''));
-                }
-            } else if (value.startsWith('- ')) {
-                // YAML array format with dashes - collect all consecutive dash items
-                // This is handled below by checking the whole frontmatter
-            } else {
-                // Remove quotes if present
-                value = value.replace(/^["']|["']$/g, '');
-            }
-            
-            frontmatter[key] = value;
-        }
+    if (subtitle) {
+        context.font = 'italic 14px Arial';
+        context.fillStyle = '#4fd1c5';
+        context.fillText(subtitle, 175, 56);
     }
     
-    // Handle YAML array format: choices:\n  - option1\n  - option2
-    const choicesMatch = frontmatterText.match(/choices:\s*\n((?:\s*-\s*[^\n]+\n?)+)/);
-    if (choicesMatch) {
-        const choicesLines = choicesMatch[1].trim().split('\n');
-        frontmatter.choices = choicesLines
-            .map(line => line.replace(/^\s*-\s*/, '').trim())
-            .filter(line => line)
-            .map(choice => choice.replace(/^["']|["']$/g, ''));
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    sprite.material.map?.dispose();
+    sprite.material.map = texture;
+    sprite.material.needsUpdate = true;
+    
+    sprite.position.set(0, 6.5, 2);
+    sprite.scale.set(7, subtitle ? 2.2 : 1.8, 1);
+}
+
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render a search snippet with its highlight ranges wrapped in <mark>
+function renderSnippet(snippet, highlights) {
+    let html = '';
+    let pos = 0;
+    highlights.forEach(([start, end]) => {
+        html += escapeHtml(snippet.slice(pos, start)) + `<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+        pos = end;
+    });
+    return html + escapeHtml(snippet.slice(pos));
+}
+
+// Search the mailbox and list hits under the search box
+async function runSearch(query) {
+    const resultsDiv = document.getElementById('search-results');
+    if (!query) {
+        resultsDiv.classList.remove('open');
+        resultsDiv.innerHTML = '';
+        return;
     }
     
-    return { content, frontmatter };
+    try {
+        const res = await fetch(`/api/search?${new URLSearchParams({ q: query, limit: 20 })}`);
+        const hits = await res.json();
+        if (!Array.isArray(hits) || hits.length === 0) {
+            resultsDiv.innerHTML = '<div class="search-empty">No matching messages</div>';
+        } else {
+            resultsDiv.innerHTML = hits.map(({ message: msg, snippet, highlights }) => `
+                <div class="search-hit" data-id="${msg.id}" data-sender="${escapeHtml(msg.sender)}">
+                    <div class="message-header">
+                        <span class="message-sender">${escapeHtml(msg.sender)} → ${escapeHtml(msg.recipient)}</span>
+                        <span class="message-time">${new Date(msg.timestamp).toLocaleString()}</span>
+                    </div>
+                    <div class="search-snippet">${renderSnippet(snippet, highlights)}</div>
+                </div>
+            `).join('');
+            
+            // Clicking a hit flies to the sender's desk and opens the message there
+            resultsDiv.querySelectorAll('.search-hit').forEach(el => {
+                el.addEventListener('click', () => {
+                    resultsDiv.classList.remove('open');
+                    flyToDesk(el.dataset.sender);
+                    showDeskDialog(el.dataset.sender, { tab: 'sent', messageId: Number(el.dataset.id) });
+                });
+            });
+        }
+        resultsDiv.classList.add('open');
+    } catch (err) {
+        console.error('Error searching messages:', err);
+    }
 }
 
-// Send a quick response from a choice button
+// Send a quick response from a choice button. Resolves to whether it was sent.
 window.sendQuickResponse = async function(to, message, messageId) {
     try {
         const response = await fetch('/api/send', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ to, from: config.user, message })
+            body: JSON.stringify({ to, from: config.user, message, replyTo: messageId ?? null })
         });
         
         if (response.ok) {
@@ -1675,48 +3511,349 @@ window.sendQuickResponse = async function(to, message, messageId) {
                 toast.classList.remove('show');
                 if (toastMsg) toastMsg.textContent = 'Message sent!';
             }, 2000);
-            
-            // Reload data
-            loadData();
+            return true;
         } else {
-            console.error('Failed to send quick response');
+            alert(`Failed to send quick response: ${await responseError(response)}`);
         }
     } catch (err) {
         console.error('Error sending quick response:', err);
     }
+    return false;
+}
+
+// Hunk headers and git diff headers mark text as a unified diff
+const UNIFIED_DIFF = /^(diff --git |@@ -\d+(,\d+)? \+\d+(,\d+)? @@)/m;
+const DIFF_LINE = /^([ +\-\\]|@@ |diff |index |new file|deleted file|similarity |rename |old mode|new mode|Binary files)/;
+
+// Wrap unified diffs pasted outside a code fence in a ```diff fence, so
+// markdown doesn't turn their +/- lines into lists
+function fenceBareDiffs(text) {
+    const lines = text.split('\n');
+    const startsDiff = (i) => /^diff --git /.test(lines[i])
+        || /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/.test(lines[i])
+        || (/^--- \S/.test(lines[i]) && /^\+\+\+ \S/.test(lines[i + 1] ?? ''));
+    
+    const out = [];
+    let fenced = false;
+    let inDiff = false;
+    lines.forEach((line, i) => {
+        if (inDiff && !DIFF_LINE.test(line)) {
+            out.push('```');
+            inDiff = false;
+        }
+        if (!inDiff) {
+            if (/^\s*(```|~~~)/.test(line)) {
+                fenced = !fenced;
+            } else if (!fenced && startsDiff(i)) {
+                out.push('```diff');
+                inDiff = true;
+            }
+        }
+        out.push(line);
+    });
+    if (inDiff) out.push('```');
+    return out.join('\n');
+}
+
+// Highlight a code block from its text. Blocks without a language are
+// treated as diffs when they look like one, otherwise auto-detected.
+function highlightCode(el) {
+    if (!window.hljs) return;
+    const language = Array.from(el.classList).find(c => c.startsWith('language-'))?.slice('language-'.length);
+    if (language && !hljs.getLanguage(language)) return;
+    if (!language && UNIFIED_DIFF.test(el.textContent)) el.classList.add('language-diff');
+    hljs.highlightElement(el);
+}
+
+// Markdown from an agent to HTML that is safe to insert: DOMPurify strips
+// scripts, event handlers and javascript: URLs from marked's output before
+// code is highlighted. Without DOMPurify the text is shown escaped. Card
+// lists re-render on every message update, so the HTML is cached by message
+// id, keeping the most recently shown few pages' worth.
+const renderedMarkdown = new Map(); // message id -> { text, html }, oldest first
+const MAX_RENDERED_MARKDOWN = 5 * PAGE_SIZE;
+
+function renderMarkdown(text, id = null) {
+    const cached = renderedMarkdown.get(id);
+    if (cached && cached.text === text) {
+        renderedMarkdown.delete(id);
+        renderedMarkdown.set(id, cached);
+        return cached.html;
+    }
+    if (!window.DOMPurify) return escapeHtml(text);
+    const fragment = DOMPurify.sanitize(marked.parse(fenceBareDiffs(text)), { RETURN_DOM_FRAGMENT: true });
+    fragment.querySelectorAll('pre code').forEach(highlightCode);
+    fragment.querySelectorAll('a[href]').forEach(link => {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    });
+    const container = document.createElement('div');
+    container.appendChild(fragment);
+    if (id != null) {
+        renderedMarkdown.delete(id);
+        renderedMarkdown.set(id, { text, html: container.innerHTML });
+        if (renderedMarkdown.size > MAX_RENDERED_MARKDOWN) {
+            renderedMarkdown.delete(renderedMarkdown.keys().next().value);
+        }
+    }
+    return container.innerHTML;
+}
+
+// A message's markdown, frontmatter and frontmatter error. Rows from the API
+// come with the frontmatter parsed, so only other rows parse it here.
+function messageParts(msg) {
+    if (msg.frontmatter === undefined) return parseFrontmatter(msg.message);
+    return { content: stripFrontmatter(msg.message), frontmatter: msg.frontmatter, error: msg.frontmatter_error ?? null };
 }
 
-// Render a message card HTML with optional choice buttons
+// Render a message card HTML with optional choice buttons and form
 function renderMessageCard(msg, showChoices = true) {
-    const { content, frontmatter } = parseFrontmatter(msg.message);
-    const choices = frontmatter?.choices;
-    const showChoicesButtons = showChoices && Array.isArray(choices) && choices.length > 0;
+    const { content, frontmatter, error } = messageParts(msg);
+    const choices = Array.isArray(frontmatter?.choices) ? frontmatter.choices.map(String) : [];
+    const showChoicesButtons = showChoices && choices.length > 0;
+    const fields = showChoices ? formFields(frontmatter) : [];
     const replyTo = msg.recipient.toLowerCase() === config.user.toLowerCase() ? msg.sender : msg.recipient;
+    const inThread = msg.reply_to || msg.reply_count > 0;
+    const threadLabel = msg.reply_count > 0
+        ? `🧵 ${msg.reply_count} ${msg.reply_count === 1 ? 'reply' : 'replies'}`
+        : '🧵 In reply to earlier message';
+    const toMe = msg.recipient.toLowerCase() === config.user.toLowerCase();
     
     return `
-        <div class="message-card ${msg.read ? '' : 'unread'}" data-id="${msg.id}" data-sender="${msg.sender}" data-recipient="${msg.recipient}">
+        <div class="message-card ${msg.read ? '' : 'unread'}" data-id="${msg.id}" data-sender="${escapeHtml(msg.sender)}" data-recipient="${escapeHtml(msg.recipient)}">
             <div class="message-header">
-                <span class="message-sender">${msg.sender} → ${msg.recipient}</span>
+                <span class="message-sender">${escapeHtml(msg.sender)} → ${escapeHtml(msg.recipient)}</span>
                 <span class="message-time">${new Date(msg.timestamp).toLocaleString()}</span>
             </div>
-            <div class="message-text">${marked.parse(content)}</div>
+            ${error ? `
+                <div class="frontmatter-warning" title="${escapeHtml(error)}">⚠️ This message's frontmatter isn't valid YAML, so its metadata, choices or form may be missing: ${escapeHtml(error)}</div>
+            ` : ''}
+            <div class="message-text">${renderMarkdown(content, msg.id)}</div>
             ${showChoicesButtons ? `
                 <div class="message-choices">
                     ${choices.map((choice) => `
-                        <button class="choice-btn" onclick="sendQuickResponse('${replyTo}', '${choice.replace(/'/g, "\\'")}', ${msg.id})">
-                            ${choice}
+                        <button class="choice-btn" data-id="${msg.id}" data-reply-to="${escapeHtml(replyTo)}" data-choice="${escapeHtml(choice)}">
+                            ${escapeHtml(choice)}
                         </button>
                     `).join('')}
                 </div>
             ` : ''}
+            ${fields.length > 0 ? renderMessageForm(msg, fields, frontmatter.submit, replyTo) : ''}
+            ${inThread ? `
+                <button class="thread-btn" onclick="event.stopPropagation(); openThread(${msg.id})">${threadLabel}</button>
+            ` : ''}
+            ${toMe ? renderReadActions(msg) : ''}
+        </div>
+    `;
+}
+
+// Form fields an agent can ask for in a message's `fields` frontmatter, each
+// { name, type, label?, required?, ... }. Fields of other types are skipped.
+const FORM_FIELD_TYPES = ['text', 'number', 'multiselect', 'confirm', 'approval'];
+
+function formFields(frontmatter) {
+    if (!Array.isArray(frontmatter?.fields)) return [];
+    return frontmatter.fields
+        .filter(f => f && typeof f === 'object' && f.name != null && FORM_FIELD_TYPES.includes(f.type ?? 'text'))
+        .map(f => ({ ...f, name: String(f.name), type: f.type ?? 'text', label: String(f.label ?? f.name) }));
+}
+
+function renderFormField(field) {
+    const attrs = `class="form-field" data-name="${escapeHtml(field.name)}" data-label="${escapeHtml(field.label)}" data-type="${field.type}" ${field.required ? 'data-required' : ''}`;
+    const label = `${escapeHtml(field.label)}${field.required ? ' *' : ''}`;
+    const required = field.required ? 'required' : '';
+    const value = field.default != null ? `value="${escapeHtml(field.default)}"` : '';
+    const placeholder = field.placeholder != null ? `placeholder="${escapeHtml(field.placeholder)}"` : '';
+    
+    switch (field.type) {
+        case 'number': {
+            const limits = ['min', 'max', 'step']
+                .filter(key => typeof field[key] === 'number')
+                .map(key => `${key}="${field[key]}"`)
+                .join(' ');
+            return `
+                <label ${attrs}>
+                    <span class="form-label">${label}</span>
+                    <input type="number" class="form-input" ${limits} ${value} ${placeholder} ${required}>
+                </label>
+            `;
+        }
+        case 'multiselect': {
+            const options = Array.isArray(field.options) ? field.options.map(String) : [];
+            const checked = Array.isArray(field.default) ? field.default.map(String) : [];
+            return `
+                <fieldset ${attrs}>
+                    <legend class="form-label">${label}</legend>
+                    ${options.map(option => `
+                        <label class="form-option">
+                            <input type="checkbox" value="${escapeHtml(option)}" ${checked.includes(option) ? 'checked' : ''}>
+                            ${escapeHtml(option)}
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        }
+        case 'confirm':
+        case 'approval': {
+            const [yes, no, note] = field.type === 'confirm'
+                ? [['yes', 'Yes'], ['no', 'No'], 'Comment']
+                : [['approve', '✅ Approve'], ['reject', '❌ Reject'], 'Reason'];
+            return `
+                <fieldset ${attrs}>
+                    <legend class="form-label">${label}</legend>
+                    ${[yes, no].map(([option, text]) => `
+                        <label class="form-option">
+                            <input type="radio" name="${escapeHtml(field.name)}" value="${option}" ${required}>
+                            ${text}
+                        </label>
+                    `).join('')}
+                    <textarea class="form-input" rows="2" placeholder="${note} (optional)"></textarea>
+                </fieldset>
+            `;
+        }
+        default:
+            return `
+                <label ${attrs}>
+                    <span class="form-label">${label}</span>
+                    ${field.multiline
+                        ? `<textarea class="form-input" rows="3" ${placeholder} ${required}>${field.default != null ? escapeHtml(field.default) : ''}</textarea>`
+                        : `<input type="text" class="form-input" ${value} ${placeholder} ${required}>`}
+                </label>
+            `;
+    }
+}
+
+// A message's form; submitting it sends a structured reply (see formReplyText)
+function renderMessageForm(msg, fields, submit, replyTo) {
+    return `
+        <form class="message-form" data-id="${msg.id}" data-reply-to="${escapeHtml(replyTo)}" onclick="event.stopPropagation()">
+            ${fields.map(renderFormField).join('')}
+            <button type="submit" class="choice-btn">${escapeHtml(submit ?? 'Send answers')}</button>
+        </form>
+    `;
+}
+
+// Read a form's answers, keyed by field name. Empty answers are null;
+// confirm fields give { answer, comment } and approvals { approved, reason }.
+function collectFormAnswers(form) {
+    const answers = {};
+    form.querySelectorAll('.form-field').forEach(el => {
+        const { name, type } = el.dataset;
+        const input = el.querySelector('input, textarea');
+        if (type === 'number') {
+            answers[name] = input.value === '' ? null : Number(input.value);
+        } else if (type === 'multiselect') {
+            answers[name] = Array.from(el.querySelectorAll('input:checked')).map(box => box.value);
+        } else if (type === 'confirm' || type === 'approval') {
+            const choice = el.querySelector('input:checked')?.value;
+            const note = el.querySelector('textarea').value.trim() || null;
+            answers[name] = type === 'confirm'
+                ? { answer: choice === undefined ? null : choice === 'yes', comment: note }
+                : { approved: choice === undefined ? null : choice === 'approve', reason: note };
+        } else {
+            answers[name] = input.value.trim() || null;
+        }
+    });
+    return answers;
+}
+
+function formatAnswer(type, answer) {
+    if (type === 'confirm' || type === 'approval') {
+        const [decided, note] = type === 'confirm' ? [answer.answer, answer.comment] : [answer.approved, answer.reason];
+        const text = decided === null ? '—'
+            : type === 'confirm' ? (decided ? 'Yes' : 'No')
+            : (decided ? 'Approved' : 'Rejected');
+        return note ? `${text} (${note})` : text;
+    }
+    if (Array.isArray(answer)) return answer.length > 0 ? answer.join(', ') : '—';
+    return answer === null ? '—' : String(answer);
+}
+
+// The reply to a form: the answers as YAML frontmatter for agents to parse,
+// then a readable summary
+function formReplyText(form, answers) {
+    const summary = Array.from(form.querySelectorAll('.form-field'))
+        .map(el => `- **${el.dataset.label}**: ${formatAnswer(el.dataset.type, answers[el.dataset.name])}`)
+        .join('\n');
+    return `---\n${YAML.stringify({ type: 'form-response', answers })}---\n${summary}`;
+}
+
+// Mark unread and snooze controls for a message to the user
+function renderReadActions(msg) {
+    const readAt = msg.read_at ? `Read ${new Date(msg.read_at).toLocaleString()}` : '';
+    return `
+        <div class="message-actions" onclick="event.stopPropagation()">
+            ${msg.read ? `<button class="message-action-btn" title="${readAt}" onclick="markAsUnread(${msg.id})">✉️ Mark unread</button>` : ''}
+            <select class="message-action-btn" onchange="snoozeMessage(${msg.id}, this.value); this.blur()">
+                <option value="">⏰ Snooze…</option>
+                <option value="60">1 hour</option>
+                <option value="180">3 hours</option>
+                <option value="tomorrow">Tomorrow morning</option>
+                <option value="monday">Next Monday</option>
+            </select>
+            ${msg.snoozed_until ? `<span class="snoozed-until">⏰ until ${new Date(msg.snoozed_until).toLocaleString()}</span>` : ''}
         </div>
     `;
 }
 
 // Event listeners
 document.getElementById('send-btn').addEventListener('click', sendMessage);
+document.getElementById('conversation-select').addEventListener('change', (e) => {
+    if (e.target.value && currentDeskAgent) openConversation(currentDeskAgent, e.target.value);
+    e.target.value = '';
+});
+// Choice buttons reply with the chosen text
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('.choice-btn[data-choice]');
+    if (!button) return;
+    sendQuickResponse(button.dataset.replyTo, button.dataset.choice, Number(button.dataset.id));
+});
+
+// Answer a message's form with a structured reply
+document.addEventListener('submit', async (e) => {
+    const form = e.target.closest('.message-form');
+    if (!form) return;
+    e.preventDefault();
+    
+    const answers = collectFormAnswers(form);
+    const missing = Array.from(form.querySelectorAll('.form-field[data-type="multiselect"][data-required]'))
+        .find(el => answers[el.dataset.name].length === 0);
+    if (missing) {
+        alert(`Pick at least one option for "${missing.dataset.label}"`);
+        return;
+    }
+    // Sent answers no longer count as pending input, so the card can update again
+    if (await sendQuickResponse(form.dataset.replyTo, formReplyText(form, answers), Number(form.dataset.id))) {
+        form.reset();
+        updateUI();
+    }
+});
+document.getElementById('recipient-select').addEventListener('change', (e) => {
+    if (replyingTo && e.target.value.toLowerCase() !== replyingTo.sender) setReplyingTo(null);
+});
+
+let searchTimer = null;
+const searchInput = document.getElementById('search-input');
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => runSearch(searchInput.value.trim()), 250);
+});
+searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim()) runSearch(searchInput.value.trim());
+});
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        searchInput.value = '';
+        runSearch('');
+    }
+});
+onScrollLoadMore(document.getElementById('messages-container'), () => mailPager, renderMessagesPanel);
+onScrollLoadMore(document.getElementById('house-dialog-content'), () => dialogView ? dialogView.pager : deskPagers[currentTab], updateDeskDialogContent);
 
 // Initialize
 init();
-loadData();
-setInterval(loadData, 5000);
+document.getElementById('layout-select').value = layoutMode;
+updateNotifyButton();
+connectEvents();
+// Agents doze off by the clock, not only when their status changes
+setInterval(updateDeskActivities, 10000);
@@ -1,7 +1,14 @@
 import express from 'express';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import { loadConfig } from './config.js';
+import { Alert, evaluateAlerts } from './alerts.js';
+import { tableExists, toMillis, MESSAGE_COLUMNS, Message, ensureMessagesSchema, ensureMessagesTable, insertMessage, markRead, markUnread, snoozeMessage, wakeSnoozed, readCoworkerNames, readCoworkerRecords } from './mailbox.js';
+import { hasChoices, withFrontmatter } from './frontmatter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,38 +19,34 @@ const rootDir = isDist ? path.join(__dirname, '..') : __dirname;
 
 const app = express();
 
-// Parse CLI args
-const args = process.argv.slice(2);
-let user: string | null = null;
-let mailboxPath: string | null = null;
-let coworkerPath: string | null = null;
-let statusPath: string | null = null;
-let port: number = parseInt(process.env.PORT || '3000', 10);
-let host: string = process.env.HOST || '0.0.0.0';
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--user' || args[i] === '-u') {
-    user = args[++i];
-  } else if (args[i] === '--mailbox' || args[i] === '-m') {
-    mailboxPath = args[++i];
-  } else if (args[i] === '--coworkers' || args[i] === '-c') {
-    coworkerPath = args[++i];
-  } else if (args[i] === '--status' || args[i] === '-s') {
-    statusPath = args[++i];
-  } else if (args[i] === '--port' || args[i] === '-p') {
-    const p = parseInt(args[++i], 10);
-    if (!isNaN(p)) port = p;
-  } else if (args[i] === '--host' || args[i] === '-h') {
-    host = args[++i];
-  }
+// Resolve settings from the config file, env and CLI args
+let loaded: ReturnType<typeof loadConfig>;
+try {
+  loaded = loadConfig(process.argv.slice(2));
+} catch (err: any) {
+  console.error(`Config error: ${err.message}`);
+  process.exit(1);
 }
+const { config: settings, rest } = loaded;
+if (rest.length > 0) {
+  console.error(`Unexpected argument: ${rest[0]} (subcommands: send, tail, inbox, read, coworkers, help)`);
+  process.exit(1);
+}
+const { user, port, host, token, readonlyToken, readonly, strictRecipients } = settings;
+const mailboxPath = settings.mailbox;
+const coworkerPath = settings.coworkers;
+const statusPath = settings.status;
 
 if (!user || !mailboxPath) {
-  console.error('Usage: watercooler --user <name> --mailbox <path> [--coworkers <path>] [--status <path>] [--port <number>] [--host <address>]');
+  console.error('Usage: watercooler --user <name> --mailbox <path> [--coworkers <path>] [--status <path>] [--port <number>] [--host <address>] [--token <secret>] [--readonly-token <secret>] [--readonly] [--strict-recipients] [--sleep-after <seconds>] [--config <path>] [--profile <name>]');
+  console.error('   --user and --mailbox can also be set in watercooler.config.json (see README)');
   process.exit(1);
 }
 
 console.log(`🚰 Watercooler for ${user}`);
+if (loaded.file) {
+  console.log(`   Config: ${loaded.file}${loaded.profile ? ` (profile ${loaded.profile})` : ''}`);
+}
 console.log(`   Mailbox: ${mailboxPath}`);
 if (coworkerPath) {
   console.log(`   Coworker DB: ${coworkerPath}`);
@@ -52,14 +55,25 @@ if (statusPath) {
   console.log(`   Status DB: ${statusPath}`);
 }
 console.log(`   URL: http://${host}:${port}`);
+if (token || readonlyToken) {
+  console.log(`   Auth: token required${readonly ? ' (read-only)' : ''}`);
+} else {
+  if (readonly) console.log('   Auth: none (read-only)');
+  if (host !== '127.0.0.1' && host !== 'localhost') {
+    console.warn('   Warning: no --token set; anyone who can reach this port can read and send messages');
+  }
+}
 
 // Databases
 let db: Database.Database | null = null;
 let coworkerDb: Database.Database | null = null;
 let statusDb: Database.Database | null = null;
+let historyDb: Database.Database | null = null; // sampled tool usage history, see TOOL_HISTORY_TABLE
 
 try {
   db = new Database(mailboxPath);
+  // Parses a message's frontmatter in SQL; fills the temp.message_choices index
+  db.function('has_choices', { deterministic: true }, (text: unknown) => hasChoices(String(text ?? '')) ? 1 : 0);
   console.log('   Mailbox DB: connected');
 } catch (err: any) {
   console.error('   Mailbox DB error:', err.message);
@@ -78,115 +92,532 @@ if (coworkerPath) {
 if (statusPath) {
   try {
     statusDb = new Database(statusPath);
+    // Lets status queries compare timestamps in ms whatever unit the DB stores
+    statusDb.function('to_millis', { deterministic: true }, (time: unknown) => toMillis(Number(time)));
     console.log('   Status DB: connected');
   } catch (err: any) {
     console.warn('   Status DB error:', err.message);
   }
 }
 
-// Helper: Check if table exists
-function tableExists(database: Database.Database | null, tableName: string): boolean {
-  if (!database) return false;
-  try {
-    const stmt = database.prepare(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name=?
-    `);
-    return !!stmt.get(tableName);
-  } catch {
-    return false;
+// Errors carrying an HTTP status and a machine-readable code. sendError
+// answers them as { error, code, field? }; anything else is a 500.
+class HttpError extends Error {
+  constructor(public status: number, public code: string, message: string, public field?: string) {
+    super(message);
+  }
+}
+
+// Thrown for malformed request parameters or bodies
+class BadRequestError extends HttpError {
+  constructor(message: string, field?: string, code = 'BAD_REQUEST') {
+    super(400, code, message, field);
+  }
+}
+
+function sendError(res: express.Response, err: any) {
+  if (err instanceof HttpError) {
+    res.status(err.status).json({ error: err.message, code: err.code, ...(err.field && { field: err.field }) });
+  } else {
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+}
+
+try {
+  ensureMessagesSchema(db);
+} catch (err: any) {
+  console.warn('   Mailbox migration error:', err.message);
+}
+
+// Authentication (opt-in): enabled when a token is configured. Browsers log in
+// once for a session cookie; scripts send "Authorization: Bearer <token>".
+type Role = 'full' | 'readonly';
+
+const authEnabled = !!(token || readonlyToken);
+const SESSION_COOKIE = 'watercooler_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const sessions = new Map<string, { role: Role; expires: number }>();
+
+// Helper: Constant-time string comparison
+function safeEqual(a: string, b: string): boolean {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Helper: Role granted by a presented token, or null if it matches neither
+function roleForToken(presented: string): Role | null {
+  if (token && safeEqual(presented, token)) return readonly ? 'readonly' : 'full';
+  if (readonlyToken && safeEqual(presented, readonlyToken)) return 'readonly';
+  return null;
+}
+
+function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  (header || '').split(';').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+  });
+  return cookies;
+}
+
+// Helper: Resolve the caller's role from a bearer token or session cookie
+function requestRole(req: express.Request): Role | null {
+  if (!authEnabled) return readonly ? 'readonly' : 'full';
+  
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith('Bearer ')) {
+    return roleForToken(authorization.slice('Bearer '.length).trim());
+  }
+  
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId ? sessions.get(sessionId) : undefined;
+  if (!session) return null;
+  if (session.expires < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
   }
+  return session.role;
 }
 
+// Paths reachable without logging in
+const PUBLIC_PATHS = new Set(['/login.html', '/api/login']);
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+
+// Require a role for everything except the login page
+app.use((req, res, next) => {
+  const role = requestRole(req);
+  if (role) {
+    res.locals.role = role;
+    next();
+  } else if (PUBLIC_PATHS.has(req.path)) {
+    next();
+  } else if (req.path.startsWith('/api/')) {
+    sendError(res, new HttpError(401, 'UNAUTHORIZED', 'Authentication required'));
+  } else {
+    res.redirect('/login.html');
+  }
+});
+
+// Read-only callers can view but not send or mark messages read
+app.use('/api', (req, res, next) => {
+  if (req.method !== 'GET' && res.locals.role === 'readonly' && req.path !== '/login' && req.path !== '/logout') {
+    sendError(res, new HttpError(403, 'READ_ONLY', 'Read-only access'));
+    return;
+  }
+  next();
+});
+
 app.use(express.static(path.join(rootDir, 'public')));
 
-// API: Get inbox (messages TO user)
-app.get('/api/messages', (req, res) => {
+// The browser shares the server's frontmatter parser
+app.get('/frontmatter.js', (req, res) => {
+  res.sendFile(path.join(rootDir, 'dist', 'frontmatter.js'));
+});
+
+// API: Log in with a token, starting a cookie session
+app.post('/api/login', (req, res) => {
+  if (!authEnabled) {
+    res.json({ success: true, role: readonly ? 'readonly' : 'full' });
+    return;
+  }
+  
+  const role = typeof req.body?.token === 'string' ? roleForToken(req.body.token) : null;
+  if (!role) {
+    // Slow down token guessing
+    setTimeout(() => sendError(res, new HttpError(401, 'INVALID_TOKEN', 'Invalid token', 'token')), 500);
+    return;
+  }
+  
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  sessions.set(sessionId, { role, expires: Date.now() + SESSION_MAX_AGE });
+  res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_MAX_AGE });
+  res.json({ success: true, role });
+});
+
+// API: End the cookie session
+app.post('/api/logout', (req, res) => {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sessionId) sessions.delete(sessionId);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Pagination limits for message listings
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+interface MessageFilters {
+  sender?: string;
+  recipient?: string;
+  between?: [string, string]; // both directions between two agents
+}
+
+// Helper: Read an optional non-negative integer query param
+function intParam(query: express.Request['query'], name: string): number | undefined {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  const n = typeof value === 'string' ? Number(value) : NaN;
+  if (!Number.isInteger(n) || n < 0) {
+    throw new BadRequestError(`Invalid ${name}: expected a non-negative integer`, name);
+  }
+  return n;
+}
+
+// Helper: Read an optional 0/1 flag query param
+function flagParam(query: express.Request['query'], name: string): number | undefined {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (value !== '0' && value !== '1') {
+    throw new BadRequestError(`Invalid ${name}: expected 0 or 1`, name);
+  }
+  return Number(value);
+}
+
+// Helper: Query a page of messages. `scope` is fixed by the route; the query
+// string adds `sender`, `recipient`, `read`, `choices` (frontmatter offers
+// choices) and `from`/`to` (timestamp range, ms) filters and `limit`/`before`/`since`
+// id cursors. Pages are newest first, except `since` pages which run oldest
+// first so clients can sync forward from the last id they have.
+function queryMessages(query: express.Request['query'], scope: MessageFilters = {}) {
+  const conditions: string[] = [];
+  const params: unknown[] = [];
+  
+  if (scope.between) {
+    const [a, b] = scope.between.map(name => name.toLowerCase());
+    conditions.push('((sender = ? AND recipient = ?) OR (sender = ? AND recipient = ?))');
+    params.push(a, b, b, a);
+  }
+  
+  const filters: Array<['sender' | 'recipient', unknown]> = [
+    ['sender', scope.sender], ['sender', query.sender],
+    ['recipient', scope.recipient], ['recipient', query.recipient]
+  ];
+  for (const [column, value] of filters) {
+    if (typeof value === 'string' && value) {
+      conditions.push(`${column} = ?`);
+      params.push(value.toLowerCase());
+    }
+  }
+  
+  const read = flagParam(query, 'read');
+  if (read !== undefined) {
+    conditions.push('read = ?');
+    params.push(read);
+  }
+  
+  const choices = flagParam(query, 'choices');
+  if (choices !== undefined) {
+    syncChoicesIndex();
+    conditions.push('id IN (SELECT id FROM temp.message_choices WHERE has_choices = ?)');
+    params.push(choices);
+  }
+  
+  const from = intParam(query, 'from');
+  const to = intParam(query, 'to');
+  if (from !== undefined) {
+    conditions.push('timestamp >= ?');
+    params.push(from);
+  }
+  if (to !== undefined) {
+    conditions.push('timestamp <= ?');
+    params.push(to);
+  }
+  
+  // Total matching rows, ignoring the cursors
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = db!.prepare(`SELECT COUNT(*) AS total FROM messages ${where}`).get(...params) as {total: number};
+  
+  const before = intParam(query, 'before');
+  const since = intParam(query, 'since');
+  if (before !== undefined) {
+    conditions.push('id < ?');
+    params.push(before);
+  }
+  if (since !== undefined) {
+    conditions.push('id > ?');
+    params.push(since);
+  }
+  
+  const limit = Math.min(intParam(query, 'limit') ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const pagedWhere = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const order = since !== undefined && before === undefined ? 'ASC' : 'DESC';
+  const rows = db!.prepare(`
+    SELECT ${MESSAGE_COLUMNS} FROM messages 
+    ${pagedWhere}
+    ORDER BY id ${order}
+    LIMIT ?
+  `).all(...params, limit) as Message[];
+  
+  return { rows: rows.map(withFrontmatter), total };
+}
+
+// Helper: Respond with a page of messages (total count in X-Total-Count)
+function sendMessagePage(req: express.Request, res: express.Response, scope: MessageFilters = {}) {
   try {
     if (!db) throw new Error('Database not connected');
-    if (!tableExists(db, 'messages')) {
+    if (!ensureMessagesSchema(db)) {
+      res.set('X-Total-Count', '0');
       res.json([]);
       return;
     }
-    const stmt = db.prepare(`
-      SELECT * FROM messages 
-      WHERE recipient = ? 
-      ORDER BY timestamp DESC
-    `);
-    res.json(stmt.all(user!.toLowerCase()));
+    const { rows, total } = queryMessages(req.query, scope);
+    res.set('X-Total-Count', String(total));
+    res.json(rows);
   } catch (err: any) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
+}
+
+// API: Get inbox (messages TO user)
+app.get('/api/messages', (req, res) => {
+  sendMessagePage(req, res, { recipient: user! });
 });
 
 // API: Get sent messages (messages FROM user)
 app.get('/api/messages/sent', (req, res) => {
-  try {
-    if (!db) throw new Error('Database not connected');
-    if (!tableExists(db, 'messages')) {
-      res.json([]);
-      return;
-    }
-    const stmt = db.prepare(`
-      SELECT * FROM messages 
-      WHERE sender = ? 
-      ORDER BY timestamp DESC
-    `);
-    res.json(stmt.all(user!.toLowerCase()));
-  } catch (err: any) {
-    res.status(500).json({ error: err.message });
-  }
+  sendMessagePage(req, res, { sender: user! });
 });
 
 // API: Get ALL messages between ALL agents
 app.get('/api/messages/all', (req, res) => {
+  sendMessagePage(req, res);
+});
+
+// API: Get the conversation between two agents (both directions)
+app.get('/api/conversations/:a/:b', (req, res) => {
+  sendMessagePage(req, res, { between: [req.params.a, req.params.b] });
+});
+
+// Full-text search index over messages. It lives in the connection's temp
+// schema, so mailbox.db itself is never altered; checkMessages keeps it in sync.
+function ensureSearchIndex() {
+  db!.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS temp.messages_fts
+    USING fts5(message, sender, recipient)
+  `);
+}
+
+function syncSearchIndex(addedIds: number[], removedIds: number[]) {
+  ensureSearchIndex();
+  ensureChoicesIndex();
+  db!.transaction(() => {
+    db!.prepare(`
+      DELETE FROM temp.messages_fts
+      WHERE rowid IN (SELECT value FROM json_each(?))
+    `).run(JSON.stringify(removedIds));
+    db!.prepare(`
+      DELETE FROM temp.message_choices
+      WHERE id IN (SELECT value FROM json_each(?))
+    `).run(JSON.stringify(removedIds));
+    db!.prepare(`
+      INSERT INTO temp.messages_fts (rowid, message, sender, recipient)
+      SELECT id, message, sender, recipient FROM messages
+      WHERE id IN (SELECT value FROM json_each(?))
+    `).run(JSON.stringify(addedIds));
+  })();
+}
+
+// Whether each message's frontmatter offers choices or a form, for the
+// `choices` filter. Also in the temp schema; each message is parsed once, by
+// the first filtered query after it arrives, and checkMessages drops deleted ones.
+function ensureChoicesIndex() {
+  db!.exec(`
+    CREATE TABLE IF NOT EXISTS temp.message_choices (
+      id INTEGER PRIMARY KEY,
+      has_choices INTEGER NOT NULL
+    )
+  `);
+}
+
+function syncChoicesIndex() {
+  ensureChoicesIndex();
+  db!.prepare(`
+    INSERT INTO temp.message_choices (id, has_choices)
+    SELECT id, has_choices(message) FROM messages
+    WHERE id NOT IN (SELECT id FROM temp.message_choices)
+  `).run();
+}
+
+// Helper: Turn free text into an FTS5 query of quoted prefix terms, so user
+// input is never an FTS syntax error
+function toFtsQuery(text: string): string {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => `"${term.replace(/"/g, '""')}"*`)
+    .join(' ');
+}
+
+// Snippet highlight markers (control characters that never appear in messages)
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+// Helper: Strip highlight markers from a snippet, returning [start, end) offsets
+function parseHighlights(marked: string): { snippet: string; highlights: Array<[number, number]> } {
+  let snippet = '';
+  let start = -1;
+  const highlights: Array<[number, number]> = [];
+  for (const ch of marked) {
+    if (ch === HIGHLIGHT_START) {
+      start = snippet.length;
+    } else if (ch === HIGHLIGHT_END) {
+      highlights.push([start, snippet.length]);
+    } else {
+      snippet += ch;
+    }
+  }
+  return { snippet, highlights };
+}
+
+// API: Full-text search across message text, sender and recipient
+app.get('/api/search', (req, res) => {
   try {
     if (!db) throw new Error('Database not connected');
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) throw new BadRequestError('Missing search query (q)', 'q', 'MISSING_FIELD');
     if (!tableExists(db, 'messages')) {
       res.json([]);
       return;
     }
-    const stmt = db.prepare(`
-      SELECT * FROM messages 
-      ORDER BY timestamp DESC
-    `);
-    res.json(stmt.all());
+    ensureSearchIndex();
+    
+    const limit = Math.min(intParam(req.query, 'limit') ?? 50, MAX_PAGE_SIZE);
+    const rows = db.prepare(`
+      SELECT ${MESSAGE_COLUMNS}, snippet(messages_fts, 0, ?, ?, '…', 16) AS snippet
+      FROM temp.messages_fts
+      JOIN messages ON messages.id = messages_fts.rowid
+      WHERE messages_fts MATCH ?
+      ORDER BY rank
+      LIMIT ?
+    `).all(HIGHLIGHT_START, HIGHLIGHT_END, toFtsQuery(q), limit) as Array<Record<string, any>>;
+    
+    res.json(rows.map(({ snippet, ...message }) => ({ message: withFrontmatter(message as Message), ...parseHighlights(snippet) })));
   } catch (err: any) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// API: Get all coworkers (from coworker.db + message recipients)
+// Helper: Read coworker names (from coworker.db), excluding the current user
+function readCoworkers(): string[] {
+  return readCoworkerNames(coworkerDb, user!);
+}
+
+// Helper: Read latest tool usage per coworker from the status DB
+function readStatusStates(): Record<string, {tool_name: string; timestamp: number}> {
+  if (!statusDb || !tableExists(statusDb, 'latest_tool_usage')) return {};
+  
+  // Get latest tool usage per name
+  const stmt = statusDb.prepare(`
+    SELECT name, tool_name, timestamp
+    FROM latest_tool_usage
+    ORDER BY timestamp DESC
+  `);
+  
+  const rows = stmt.all() as Array<{name: string; tool_name: string; timestamp: number}>;
+  
+  // Build map of name -> latest tool (first occurrence is latest due to ORDER BY)
+  const statusStates: Record<string, {tool_name: string; timestamp: number}> = {};
+  for (const row of rows) {
+    if (!statusStates[row.name]) {
+      statusStates[row.name] = {
+        tool_name: row.tool_name,
+        timestamp: toMillis(row.timestamp)
+      };
+    }
+  }
+  return statusStates;
+}
+
+interface ToolUsage {
+  name: string;
+  tool_name: string;
+  timestamp: number;
+}
+
+// Tool usage history. A status DB with its own tool_usage_history table
+// (name, tool_name, timestamp) is read as is; otherwise watercooler records
+// every change it sees in latest_tool_usage into a table of that name in a
+// DB of its own, so the shared mailbox and status DBs are never written.
+// Sampling happens on the change check, so tools used within the same second
+// as a later one are missed. Timestamps are read in ms either way, and
+// sampled rows are kept for TOOL_HISTORY_RETENTION.
+const TOOL_HISTORY_TABLE = 'tool_usage_history';
+const TOOL_HISTORY_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Helper: Open the sampled history DB for a status DB, one per status DB
+// path under $XDG_STATE_HOME/watercooler
+function openHistoryDb(statusFile: string): Database.Database {
+  const stateHome = process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  const dir = path.join(stateHome, 'watercooler');
+  fs.mkdirSync(dir, { recursive: true });
+  const key = crypto.createHash('sha256').update(path.resolve(statusFile)).digest('hex').slice(0, 16);
+  const database = new Database(path.join(dir, `tool-history-${key}.db`));
+  database.function('to_millis', { deterministic: true }, (time: unknown) => toMillis(Number(time)));
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS ${TOOL_HISTORY_TABLE} (
+      name TEXT NOT NULL,
+      tool_name TEXT NOT NULL,
+      timestamp INTEGER NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tool_usage_history ON ${TOOL_HISTORY_TABLE}(timestamp, name, tool_name);
+  `);
+  return database;
+}
+
+if (statusDb) {
+  try {
+    historyDb = openHistoryDb(statusPath!);
+  } catch (err: any) {
+    console.warn('   Tool history DB error:', err.message);
+  }
+}
+
+// Helper: The database holding tool usage history, or null without a status DB
+function toolHistoryDb(): Database.Database | null {
+  if (!statusDb) return null;
+  return tableExists(statusDb, TOOL_HISTORY_TABLE) ? statusDb : historyDb;
+}
+
+// Helper: Record tool usage rows seen in latest_tool_usage (sampled history only)
+function recordToolUsage(rows: ToolUsage[]) {
+  if (!historyDb || rows.length === 0 || toolHistoryDb() !== historyDb) return;
+  const insert = historyDb.prepare(`INSERT OR IGNORE INTO ${TOOL_HISTORY_TABLE} (name, tool_name, timestamp) VALUES (?, ?, ?)`);
+  const prune = historyDb.prepare(`DELETE FROM ${TOOL_HISTORY_TABLE} WHERE timestamp < ?`);
+  historyDb.transaction(() => {
+    for (const row of rows) insert.run(row.name, row.tool_name, row.timestamp);
+    prune.run(Date.now() - TOOL_HISTORY_RETENTION);
+  })();
+}
+
+// Helper: Read tool usage between two times, newest first, optionally for one
+// name (a negative limit reads them all)
+function readToolHistory(since: number, until: number, limit: number, name?: string): ToolUsage[] {
+  const source = toolHistoryDb();
+  if (!source || !tableExists(source, TOOL_HISTORY_TABLE)) return [];
+  return source.prepare(`
+    SELECT name, tool_name, to_millis(timestamp) AS timestamp
+    FROM ${TOOL_HISTORY_TABLE}
+    WHERE to_millis(timestamp) >= ? AND to_millis(timestamp) <= ? ${name ? 'AND lower(name) = ?' : ''}
+    ORDER BY to_millis(timestamp) DESC
+    LIMIT ?
+  `).all(since, until, ...(name ? [name.toLowerCase()] : []), limit) as ToolUsage[];
+}
+
+// API: Get all coworker records (name, session_id, agent_type, created_at,
+// parent_id and the resolved parent name) from coworker.db
 app.get('/api/coworkers', (req, res) => {
   try {
     if (!db) throw new Error('Database not connected');
-    const allCoworkers = new Set<string>();
-    
-    // Add from coworker.db if available
-    if (coworkerDb) {
-      try {
-        const rows = coworkerDb.prepare('SELECT name FROM coworkers').all() as Array<{name: string}>;
-
-        rows.forEach(row => allCoworkers.add(row.name.toLowerCase()));
-      } catch (err: any) {
-        console.error('Error reading coworker.db:', err.message);
-      }
-    } else {
+    if (!coworkerDb) {
       console.log('No coworkerDb connection available');
     }
-    
-    // Note: Messages table is in a different database, not queried here
-    
-    // Remove current user
-    allCoworkers.delete(user!.toLowerCase());
-    
-    const result = Array.from(allCoworkers).sort();
-    res.json(result);
+    res.json(readCoworkerRecords(coworkerDb, user!));
   } catch (err: any) {
     console.error('Error in /api/coworkers:', err.message);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
@@ -201,38 +632,185 @@ app.get('/api/recipients', (req, res) => {
     const stmt = db.prepare(`SELECT DISTINCT recipient FROM messages`);
     res.json(stmt.all().map((r: any) => r.recipient));
   } catch (err: any) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
+// Longest message text accepted by the write routes
+const MAX_MESSAGE_LENGTH = 64 * 1024;
+const MAX_NAME_LENGTH = 128;
+
+// Helper: Validate message text
+function validateMessageText(message: unknown): string {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new BadRequestError('message is required', 'message', 'MISSING_FIELD');
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new HttpError(413, 'MESSAGE_TOO_LARGE', `message exceeds ${MAX_MESSAGE_LENGTH} characters`, 'message');
+  }
+  return message;
+}
+
+// Helper: Validate a recipient name, and with --strict-recipients require a
+// known coworker
+function validateRecipient(to: unknown, field = 'to'): string {
+  if (typeof to !== 'string' || !to.trim()) {
+    throw new BadRequestError(`${field} is required`, field, 'MISSING_FIELD');
+  }
+  const name = to.trim().toLowerCase();
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new BadRequestError(`${field} exceeds ${MAX_NAME_LENGTH} characters`, field);
+  }
+  if (strictRecipients && coworkerDb && name !== user!.toLowerCase() && !readCoworkers().includes(name)) {
+    throw new HttpError(422, 'UNKNOWN_RECIPIENT', `${name} is not a known coworker`, field);
+  }
+  return name;
+}
+
+// Helper: Messages are always sent as the configured user; reject a different `from`
+function validateSender(from: unknown) {
+  if (from === undefined || from === null) return;
+  if (typeof from !== 'string' || from.trim().toLowerCase() !== user!.toLowerCase()) {
+    throw new HttpError(403, 'SENDER_MISMATCH', `Messages can only be sent as ${user}`, 'from');
+  }
+}
+
+// Helper: Check an optional link to the message being answered
+function checkReplyTo(replyTo: unknown): number | null {
+  if (replyTo === undefined || replyTo === null) return null;
+  if (!Number.isInteger(replyTo) || !db!.prepare('SELECT 1 FROM messages WHERE id = ?').get(replyTo)) {
+    throw new BadRequestError(`Invalid replyTo: no message with id ${replyTo}`, 'replyTo');
+  }
+  return replyTo as number;
+}
+
 // API: Send message
 app.post('/api/send', (req, res) => {
   try {
     if (!db) throw new Error('Database not connected');
+    ensureMessagesTable(db);
     
-    // Auto-create messages table if it doesn't exist
-    if (!tableExists(db, 'messages')) {
-      db.exec(`
-        CREATE TABLE messages (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          recipient TEXT NOT NULL,
-          sender TEXT NOT NULL,
-          message TEXT NOT NULL,
-          timestamp INTEGER NOT NULL,
-          read INTEGER DEFAULT 0
-        )
-      `);
+    const { to, from, message, replyTo } = req.body;
+    validateSender(from);
+    const id = insertMessage(db, user!, validateRecipient(to), validateMessageText(message), checkReplyTo(replyTo));
+    checkForChanges(true);
+    res.json({ success: true, id });
+  } catch (err: any) {
+    sendError(res, err);
+  }
+});
+
+// Helper: Resolve broadcast recipients: an explicit `to` list, or coworkers
+// filtered by `agentType` and/or `parent` (name or session id), or everyone
+function broadcastRecipients(body: Record<string, any>): string[] {
+  const me = user!.toLowerCase();
+  
+  if (body.to !== undefined) {
+    if (!Array.isArray(body.to)) {
+      throw new BadRequestError('Invalid to: expected a list of coworker names', 'to');
     }
+    return Array.from(new Set(body.to.map((name: unknown, i: number) => validateRecipient(name, `to[${i}]`))))
+      .filter(name => name !== me);
+  }
+  
+  const { agentType, parent } = body;
+  if (agentType === undefined && parent === undefined) return readCoworkers();
+  if (!coworkerDb) {
+    throw new BadRequestError('Filtering recipients by agentType or parent requires a coworker DB (--coworkers)');
+  }
+  
+  const conditions: string[] = [];
+  const params: unknown[] = [];
+  if (agentType !== undefined) {
+    conditions.push('agent_type = ?');
+    params.push(String(agentType));
+  }
+  if (parent !== undefined) {
+    conditions.push(`(parent_id = ? OR parent_id IN (SELECT session_id FROM coworkers WHERE LOWER(name) = LOWER(?)))`);
+    params.push(String(parent), String(parent));
+  }
+  const rows = coworkerDb.prepare(`
+    SELECT name FROM coworkers WHERE ${conditions.join(' AND ')}
+  `).all(...params) as Array<{name: string}>;
+  
+  return Array.from(new Set(rows.map(row => row.name.toLowerCase())))
+    .filter(name => name !== me)
+    .sort();
+}
+
+// API: Send one message to many coworkers in a single transaction
+app.post('/api/broadcast', (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    ensureMessagesTable(db);
     
-    const { to, message } = req.body;
-    const stmt = db.prepare(`
-      INSERT INTO messages (recipient, sender, message, timestamp, read)
-      VALUES (?, ?, ?, ?, 0)
-    `);
-    stmt.run(to.toLowerCase(), user!.toLowerCase(), message, Date.now());
-    res.json({ success: true });
+    const { from, replyTo } = req.body;
+    validateSender(from);
+    const message = validateMessageText(req.body.message);
+    const recipients = broadcastRecipients(req.body);
+    if (recipients.length === 0) {
+      throw new BadRequestError('No coworkers match the broadcast recipients', undefined, 'NO_RECIPIENTS');
+    }
+    const replyToId = checkReplyTo(replyTo);
+    
+    // All rows or none: a failure rolls back every insert
+    let results: Array<{ recipient: string; success: boolean; id?: number; error?: string }>;
+    try {
+      results = db.transaction(() => recipients.map(recipient => ({
+        recipient,
+        success: true,
+        id: insertMessage(db!, user!, recipient, message, replyToId)
+      })))();
+    } catch (err: any) {
+      res.status(500).json({
+        error: err.message,
+        code: 'INTERNAL_ERROR',
+        results: recipients.map(recipient => ({ recipient, success: false, error: err.message }))
+      });
+      return;
+    }
+    
+    checkForChanges(true);
+    res.json({ success: true, results });
+  } catch (err: any) {
+    sendError(res, err);
+  }
+});
+
+// API: Get the whole thread a message belongs to (root first, in id order)
+app.get('/api/messages/:id/thread', (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    const id = intParam(req.params, 'id')!;
+    if (!ensureMessagesSchema(db) || !db.prepare('SELECT 1 FROM messages WHERE id = ?').get(id)) {
+      throw new HttpError(404, 'NOT_FOUND', `Message ${id} not found`);
+    }
+    
+    // Walk reply_to links up to the root; replies are always newer, so it's the lowest id
+    const { root } = db.prepare(`
+      WITH RECURSIVE ancestors(id, reply_to) AS (
+        SELECT id, reply_to FROM messages WHERE id = ?
+        UNION
+        SELECT m.id, m.reply_to FROM messages m JOIN ancestors a ON m.id = a.reply_to
+      )
+      SELECT MIN(id) AS root FROM ancestors
+    `).get(id) as {root: number};
+    
+    // Then collect every reply below the root
+    const messages = db.prepare(`
+      WITH RECURSIVE thread(id) AS (
+        SELECT ?
+        UNION
+        SELECT m.id FROM messages m JOIN thread t ON m.reply_to = t.id
+      )
+      SELECT ${MESSAGE_COLUMNS} FROM messages
+      WHERE id IN (SELECT id FROM thread)
+      ORDER BY id
+    `).all(root) as Message[];
+    
+    res.json({ root, messages: messages.map(withFrontmatter) });
   } catch (err: any) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
@@ -240,66 +818,330 @@ app.post('/api/send', (req, res) => {
 app.post('/api/messages/:id/read', (req, res) => {
   try {
     if (!db) throw new Error('Database not connected');
-    if (!tableExists(db, 'messages')) {
-      res.status(404).json({ error: 'Messages table not found' });
-      return;
+    const id = intParam(req.params, 'id')!;
+    if (!markRead(db, id)) {
+      throw new HttpError(404, 'NOT_FOUND', `Message ${id} not found`);
     }
-    db.prepare('UPDATE messages SET read = 1 WHERE id = ?').run(req.params.id);
+    checkForChanges(true);
     res.json({ success: true });
   } catch (err: any) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// API: Mark unread
+app.post('/api/messages/:id/unread', (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    const id = intParam(req.params, 'id')!;
+    if (!markUnread(db, id)) {
+      throw new HttpError(404, 'NOT_FOUND', `Message ${id} not found`);
+    }
+    checkForChanges(true);
+    res.json({ success: true });
+  } catch (err: any) {
+    sendError(res, err);
+  }
+});
+
+// API: Snooze until { until } (ms timestamp); the message turns unread again then
+app.post('/api/messages/:id/snooze', (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    const id = intParam(req.params, 'id')!;
+    const { until } = req.body ?? {};
+    if (!Number.isInteger(until) || until <= Date.now()) {
+      throw new BadRequestError('until must be a future timestamp in milliseconds', 'until');
+    }
+    if (!snoozeMessage(db, id, until)) {
+      throw new HttpError(404, 'NOT_FOUND', `Message ${id} not found`);
+    }
+    checkForChanges(true);
+    res.json({ success: true, until });
+  } catch (err: any) {
+    sendError(res, err);
   }
 });
 
 // API: Get status states (latest tool usage per coworker)
 app.get('/api/status', (req, res) => {
   try {
-    if (!statusDb) {
-      res.json({});
-      return;
+    res.json(readStatusStates());
+  } catch (err: any) {
+    console.error('Error in /api/status:', err.message);
+    sendError(res, err);
+  }
+});
+
+// Tool usage history: the default window and page size, and the largest page
+const DEFAULT_HISTORY_SPAN = 30 * 60 * 1000;
+const DEFAULT_HISTORY_LIMIT = 500;
+const MAX_HISTORY_LIMIT = 5000;
+
+// API: Tool usage history, newest first. `name` picks one coworker; `since`
+// and `until` (ms) default to the last 30 minutes.
+app.get('/api/status/history', (req, res) => {
+  try {
+    const until = intParam(req.query, 'until') ?? Date.now();
+    const since = intParam(req.query, 'since') ?? Math.max(0, until - DEFAULT_HISTORY_SPAN);
+    const limit = Math.min(intParam(req.query, 'limit') ?? DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    const name = typeof req.query.name === 'string' && req.query.name ? req.query.name : undefined;
+    res.json(readToolHistory(since, until, limit, name));
+  } catch (err: any) {
+    console.error('Error in /api/status/history:', err.message);
+    sendError(res, err);
+  }
+});
+
+// Timeline replay: how much history one request covers by default and at most
+const DEFAULT_TIMELINE_SPAN = 24 * 60 * 60 * 1000;
+const MAX_TIMELINE_MESSAGES = 20000;
+
+// Helper: Tool usage for a replay window, oldest first: the history inside
+// the window plus each coworker's latest usage up to its end
+function readStatusRows(from: number, to: number): ToolUsage[] {
+  const rows = readToolHistory(from, to, -1); // LIMIT -1: no limit
+  if (statusDb && tableExists(statusDb, 'latest_tool_usage')) {
+    rows.push(...statusDb.prepare(`
+      SELECT name, tool_name, to_millis(timestamp) AS timestamp
+      FROM latest_tool_usage
+      WHERE to_millis(timestamp) <= ?
+    `).all(to) as ToolUsage[]);
+  }
+  const unique = new Map(rows.map(row => [`${row.timestamp}\n${row.name}\n${row.tool_name}`, row]));
+  return Array.from(unique.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// API: Everything needed to replay the village between `from` and `to`
+// (ms, defaulting to the last 24 hours): coworker records with created_at,
+// the messages sent in the window in timestamp order, and tool usage rows
+// (the history in the window and the latest usage up to `to`). `truncated` is set when the window held more messages than
+// one response carries; the replay then ends at the last one returned.
+app.get('/api/timeline', (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    const to = intParam(req.query, 'to') ?? Date.now();
+    const from = intParam(req.query, 'from') ?? Math.max(0, to - DEFAULT_TIMELINE_SPAN);
+    if (from > to) throw new BadRequestError('Invalid from: must not be after to', 'from');
+
+    let messages: Message[] = [];
+    if (ensureMessagesSchema(db)) {
+      messages = db.prepare(`
+        SELECT ${MESSAGE_COLUMNS} FROM messages
+        WHERE timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp ASC, id ASC
+        LIMIT ?
+      `).all(from, to, MAX_TIMELINE_MESSAGES + 1) as Message[];
     }
-    
-    // Check if latest_tool_usage table exists
-    const tableCheck = statusDb.prepare(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name='latest_tool_usage'
-    `).get();
-    
-    if (!tableCheck) {
-      res.json({});
-      return;
+    const truncated = messages.length > MAX_TIMELINE_MESSAGES;
+    if (truncated) messages.pop();
+
+    res.json({
+      from,
+      to,
+      truncated,
+      coworkers: readCoworkerRecords(coworkerDb, user!),
+      messages: messages.map(withFrontmatter),
+      status: readStatusRows(from, to)
+    });
+  } catch (err: any) {
+    console.error('Error in /api/timeline:', err.message);
+    sendError(res, err);
+  }
+});
+
+// Live updates: connected Server-Sent Events clients and the last state pushed to them
+const eventClients = new Set<express.Response>();
+const lastDataVersions = { mailbox: -1, coworkers: -1, status: -1 };
+let knownMessages = new Map<number, string>(); // id -> "read:snoozed_until"
+let knownCoworkers = new Map<string, string>(); // name -> JSON of the record
+let knownStatus: Record<string, {tool_name: string; timestamp: number}> = {};
+
+// Helper: Read PRAGMA data_version (changes whenever another connection commits)
+function dataVersion(database: Database.Database | null): number {
+  if (!database) return -1;
+  try {
+    return database.pragma('data_version', { simple: true }) as number;
+  } catch {
+    return -1;
+  }
+}
+
+function broadcastEvent(event: string, data: unknown) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(client => client.write(payload));
+}
+
+// Diff messages against what was last pushed: new rows, read-state and snooze changes, deletions
+function checkMessages() {
+  if (!db || !ensureMessagesSchema(db)) return;
+  
+  const rows = db.prepare('SELECT id, read, snoozed_until FROM messages').all() as Array<{id: number; read: number; snoozed_until: number | null}>;
+  const current = new Map<number, string>();
+  const changedIds: number[] = [];
+  const addedIds: number[] = [];
+  for (const row of rows) {
+    const state = `${row.read}:${row.snoozed_until ?? ''}`;
+    current.set(row.id, state);
+    if (!knownMessages.has(row.id)) addedIds.push(row.id);
+    if (knownMessages.get(row.id) !== state) changedIds.push(row.id);
+  }
+  const removed = Array.from(knownMessages.keys()).filter(id => !current.has(id));
+  knownMessages = current;
+  
+  if (addedIds.length > 0 || removed.length > 0) {
+    syncSearchIndex(addedIds, removed);
+  }
+  
+  if (changedIds.length === 0 && removed.length === 0) return;
+  if (eventClients.size === 0) return;
+  // New replies also change their parent's reply_count, so resend the parents too
+  const upserted = db.prepare(`
+    SELECT ${MESSAGE_COLUMNS} FROM messages
+    WHERE id IN (SELECT value FROM json_each(?))
+       OR id IN (SELECT reply_to FROM messages WHERE id IN (SELECT value FROM json_each(?)))
+    ORDER BY timestamp DESC
+  `).all(JSON.stringify(changedIds), JSON.stringify(addedIds)) as Message[];
+  broadcastEvent('messages', { upserted: upserted.map(withFrontmatter), removed });
+}
+
+// Diff coworker records: new or changed records (e.g. a re-parented agent), removed names
+function checkCoworkers() {
+  const current = new Map(readCoworkerRecords(coworkerDb, user!).map(c => [c.name, JSON.stringify(c)]));
+  const upserted = Array.from(current)
+    .filter(([name, json]) => knownCoworkers.get(name) !== json)
+    .map(([, json]) => JSON.parse(json));
+  const removed = Array.from(knownCoworkers.keys()).filter(name => !current.has(name));
+  knownCoworkers = current;
+  
+  if (upserted.length === 0 && removed.length === 0) return;
+  broadcastEvent('coworkers', { upserted, removed });
+}
+
+function checkStatus() {
+  const current = readStatusStates();
+  const changed: Record<string, {tool_name: string; timestamp: number}> = {};
+  for (const [name, state] of Object.entries(current)) {
+    const known = knownStatus[name];
+    if (!known || known.tool_name !== state.tool_name || known.timestamp !== state.timestamp) {
+      changed[name] = state;
     }
+  }
+  const removed = Object.keys(knownStatus).filter(name => !current[name]);
+  knownStatus = current;
+  recordToolUsage(Object.entries(changed).map(([name, state]) => ({ name, ...state })));
+  
+  if (Object.keys(changed).length === 0 && removed.length === 0) return;
+  broadcastEvent('status', { changed, removed });
+}
+
+// Check each database for changes and push deltas. Our own writes don't bump
+// data_version on the mailbox connection, so write routes pass force = true.
+function checkForChanges(force = false) {
+  try {
+    // Snoozes that are due turn unread, which is a change of our own
+    if (db && wakeSnoozed(db) > 0) force = true;
     
-    // Get latest tool usage per name
-    const stmt = statusDb.prepare(`
-      SELECT name, tool_name, timestamp
-      FROM latest_tool_usage
-      ORDER BY timestamp DESC
-    `);
+    const mailboxVersion = dataVersion(db);
+    if (force || mailboxVersion !== lastDataVersions.mailbox) {
+      lastDataVersions.mailbox = mailboxVersion;
+      checkMessages();
+    }
     
-    const rows = stmt.all() as Array<{name: string; tool_name: string; timestamp: number}>;
+    const coworkersVersion = dataVersion(coworkerDb);
+    if (coworkersVersion !== lastDataVersions.coworkers) {
+      lastDataVersions.coworkers = coworkersVersion;
+      checkCoworkers();
+    }
     
-    // Build map of name -> latest tool (first occurrence is latest due to ORDER BY)
-    const statusStates: Record<string, {tool_name: string; timestamp: number}> = {};
-    for (const row of rows) {
-      if (!statusStates[row.name]) {
-        statusStates[row.name] = {
-          tool_name: row.tool_name,
-          timestamp: row.timestamp
-        };
-      }
+    const statusVersion = dataVersion(statusDb);
+    if (statusVersion !== lastDataVersions.status) {
+      lastDataVersions.status = statusVersion;
+      checkStatus();
     }
+  } catch (err: any) {
+    console.error('Error checking for changes:', err.message);
+  }
+}
+
+// Prime the known state so the first check only reports real changes
+checkForChanges();
+setInterval(checkForChanges, 1000);
+
+// Alert monitor: re-evaluate the configured rules and push the list whenever it changes
+const ALERT_CHECK_INTERVAL = 5000;
+let currentAlerts: Alert[] = [];
+
+function checkAlerts() {
+  try {
+    const found = evaluateAlerts(settings.alerts, { db, statusDb, user: user!, now: Date.now() });
+    // An alert keeps the time it was first raised while it stays active
+    const alerts = found.map(alert => {
+      const known = currentAlerts.find(a => a.id === alert.id);
+      return known ? { ...alert, since: known.since } : alert;
+    });
+    if (JSON.stringify(alerts) === JSON.stringify(currentAlerts)) return;
     
-    res.json(statusStates);
+    alerts
+      .filter(alert => !currentAlerts.some(a => a.id === alert.id))
+      .forEach(alert => console.log(`   Alert: ${alert.message}`));
+    currentAlerts = alerts;
+    broadcastEvent('alerts', { alerts });
   } catch (err: any) {
-    console.error('Error in /api/status:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Error checking alerts:', err.message);
   }
+}
+
+checkAlerts();
+setInterval(checkAlerts, ALERT_CHECK_INTERVAL);
+
+// API: Alerts currently raised by the monitor
+app.get('/api/alerts', (req, res) => {
+  res.json(currentAlerts);
+});
+
+// API: Stream live changes (Server-Sent Events)
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  eventClients.add(res);
+  
+  // Keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
 });
 
 // Config endpoint
 app.get('/api/config', (req, res) => {
-  res.json({ user, mailbox: mailboxPath, coworker: coworkerPath, status: statusPath });
+  res.json({
+    user,
+    mailbox: mailboxPath,
+    coworker: coworkerPath,
+    status: statusPath,
+    role: res.locals.role,
+    auth: authEnabled,
+    sleepAfter: settings.sleepAfter,
+    toolAnimations: settings.toolAnimations
+  });
+});
+
+// Body parsing errors (malformed JSON, oversized bodies) as structured errors
+app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (err.type === 'entity.parse.failed') {
+    sendError(res, new BadRequestError('Malformed JSON body', undefined, 'INVALID_JSON'));
+  } else if (err.type === 'entity.too.large') {
+    sendError(res, new HttpError(413, 'BODY_TOO_LARGE', 'Request body too large'));
+  } else {
+    next(err);
+  }
 });
 
 app.listen(port, host, () => {